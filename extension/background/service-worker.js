@@ -0,0 +1,1643 @@
+/**
+ * service-worker.js — MV3 background service worker.
+ *
+ * Sole owner of the CPChatLog IndexedDB database. The in-game panel
+ * (content/panel.js) and the browser-action popup (popup/popup.js) live in
+ * different origins, so each used to open its own private copy of the store.
+ * They now talk to this worker over chrome.runtime messaging instead, which
+ * means every server's history lands in ONE store in the extension's origin.
+ *
+ * Message protocol: { type: '<namespace>:<verb>', ...payload }
+ * Every reply is { ok: true, result } or { ok: false, error }.
+ */
+
+'use strict';
+
+importScripts('../shared/servers.js', '../shared/query.js');
+
+const {
+  foldText, tokenize, parseSearch, parseQuery, parseQueryDate, clauseValues, clauseTests, fromNames,
+} = __cpChatLog_query;
+
+const DB_NAME      = 'CPChatLog';
+// v1 was created empty (no object stores) by older popup builds opening the
+// DB without an upgrade handler, so the real schema starts at v2.
+//   v2 — messages store
+//   v3 — per-server partitioning (server, server_room indexes)
+//   v4 — players store (persistent directory keyed by [server, penguin id])
+//   v5 — players.nameHistory + nameKeys index (identity across renames)
+//   v6 — sessions store (start/end, server, own identity, rooms, counts)
+//   v7 — presence store (room join/leave timeline)
+//   v8 — compound [..., timestamp] indexes for cursor paging
+//   v9 — messages.tokens + multiEntry index (full-text search)
+const DB_VERSION   = 9;
+const STORE_NAME   = 'messages';
+const PLAYERS_STORE = 'players';
+const SESSIONS_STORE = 'sessions';
+const PRESENCE_STORE = 'presence';
+const MAX_MESSAGES = 10_000;
+// Presence is several rows per room change, so it gets a larger cap
+const MAX_PRESENCE = 50_000;
+// Most rows one write may prune. Larger than a client write batch, so the
+// store still converges on its cap while each transaction stays short.
+const PRUNE_CHUNK  = 500;
+
+// ─── IndexedDB ──────────────────────────────────────────────────────────────
+
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+
+    // Upgrades are written as idempotent "ensure" steps rather than a switch
+    // on oldVersion, so a store left half-built by an old build still heals.
+    req.onupgradeneeded = (e) => {
+      const idb = e.target.result;
+      const tx  = e.target.transaction;
+
+      const messages = idb.objectStoreNames.contains(STORE_NAME)
+        ? tx.objectStore(STORE_NAME)
+        : idb.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      ensureIndex(messages, 'timestamp',   'timestamp');
+      ensureIndex(messages, 'username',    'username');
+      ensureIndex(messages, 'room',        'room');
+      ensureIndex(messages, 'session',     'session');
+      ensureIndex(messages, 'server',      'server');
+      ensureIndex(messages, 'server_room', ['server', 'room']);
+      // Each filter dimension paired with timestamp, so a filtered page is
+      // one contiguous index range walked in time order
+      ensureIndex(messages, 'server_timestamp',      ['server', 'timestamp']);
+      ensureIndex(messages, 'server_room_timestamp', ['server', 'room', 'timestamp']);
+      ensureIndex(messages, 'room_timestamp',        ['room', 'timestamp']);
+      ensureIndex(messages, 'session_timestamp',     ['session', 'timestamp']);
+      ensureIndex(messages, 'username_timestamp',    ['username', 'timestamp']);
+      if (!messages.indexNames.contains('tokens')) {
+        addTokens(messages);
+        ensureIndex(messages, 'tokens', 'tokens', { multiEntry: true });
+      }
+
+      // Penguin ids are only unique within one server
+      if (!idb.objectStoreNames.contains(PLAYERS_STORE)) {
+        backfillPlayers(messages, idb.createObjectStore(PLAYERS_STORE, { keyPath: ['server', 'id'] }));
+      } else if (e.oldVersion < 5) {
+        addNameHistory(tx.objectStore(PLAYERS_STORE));
+      }
+      const players = tx.objectStore(PLAYERS_STORE);
+      ensureIndex(players, 'lastSeen', 'lastSeen');
+      ensureIndex(players, 'server',   'server');
+      ensureIndex(players, 'nameKeys', 'nameKeys', { multiEntry: true });
+
+      if (!idb.objectStoreNames.contains(SESSIONS_STORE)) {
+        backfillSessions(messages, idb.createObjectStore(SESSIONS_STORE, { keyPath: 'id' }));
+      }
+      const sessions = tx.objectStore(SESSIONS_STORE);
+      ensureIndex(sessions, 'startedAt', 'startedAt');
+      ensureIndex(sessions, 'server',    'server');
+
+      const presence = idb.objectStoreNames.contains(PRESENCE_STORE)
+        ? tx.objectStore(PRESENCE_STORE)
+        : idb.createObjectStore(PRESENCE_STORE, { keyPath: 'id', autoIncrement: true });
+      ensureIndex(presence, 'timestamp', 'timestamp');
+      ensureIndex(presence, 'session',   'session');
+    };
+
+    req.onsuccess = (e) => {
+      const idb = e.target.result;
+      // Another context upgrading the DB must not be blocked by us
+      idb.onversionchange = () => { idb.close(); dbPromise = null; };
+      resolve(idb);
+    };
+    req.onerror = (e) => { dbPromise = null; reject(e.target.error); };
+  });
+  return dbPromise;
+}
+
+function ensureIndex(store, name, keyPath, options = {}) {
+  if (!store.indexNames.contains(name)) {
+    store.createIndex(name, keyPath, { unique: false, ...options });
+  }
+}
+
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort    = () => reject(tx.error);
+    tx.onerror    = () => reject(tx.error);
+  });
+}
+
+// ─── Players ────────────────────────────────────────────────────────────────
+// One record per penguin: every name seen, first/last seen, rooms visited and
+// message count, kept across sessions (hook.js's registry is in-memory only).
+
+/** hook.js falls back to "Penguin #N" when a name is unknown — not a real name. */
+function isPlaceholderName(name) {
+  return !name || /^Penguin #\d+$/.test(name) || name === '(you)' || name === '(unknown)';
+}
+
+function newPlayer(server, id, ts) {
+  return {
+    server, id,
+    username:     null,
+    nickname:     null,
+    names:        [],   // every login/display name seen, first-seen order
+    nameKeys:     [],   // lower-cased names, multiEntry-indexed for lookup
+    nameHistory:  [],   // display names: [{ name, firstSeen, lastSeen }]
+    rooms:        [],
+    lastRoom:     null,
+    firstSeen:    ts,
+    lastSeen:     ts,
+    messageCount: 0,
+  };
+}
+
+/**
+ * Merge a sighting into a player record (mutates and returns it).
+ * sighting: { timestamp, username?, nickname?, room?, messages? }
+ */
+function mergeSighting(p, s) {
+  // Out-of-order sightings (e.g. backfills) must not overwrite a newer name
+  const isLatest = s.timestamp >= p.lastSeen;
+  if (!isPlaceholderName(s.username) && (isLatest || !p.username)) p.username = s.username;
+  if (!isPlaceholderName(s.nickname)) {
+    if (isLatest || !p.nickname) p.nickname = s.nickname;
+    recordDisplayName(p, s.nickname, s.timestamp);
+  }
+  for (const name of [s.username, s.nickname]) {
+    if (isPlaceholderName(name) || p.names.includes(name)) continue;
+    p.names.push(name);
+    const key = name.toLowerCase();
+    if (!p.nameKeys.includes(key)) p.nameKeys.push(key);
+  }
+  if (s.room) {
+    if (!p.rooms.includes(s.room)) p.rooms.push(s.room);
+    if (s.timestamp >= p.lastSeen) p.lastRoom = s.room;
+  }
+  p.firstSeen     = Math.min(p.firstSeen, s.timestamp);
+  p.lastSeen      = Math.max(p.lastSeen, s.timestamp);
+  p.messageCount += s.messages || 0;
+  return p;
+}
+
+function recordDisplayName(p, name, ts) {
+  const entry = p.nameHistory.find(h => h.name === name);
+  if (entry) {
+    entry.firstSeen = Math.min(entry.firstSeen, ts);
+    entry.lastSeen  = Math.max(entry.lastSeen, ts);
+  } else {
+    p.nameHistory.push({ name, firstSeen: ts, lastSeen: ts });
+  }
+}
+
+/** Display names this penguin used before their current one, newest first. */
+function formerNames(p) {
+  const current = (p.nickname || p.username || '').toLowerCase();
+  const seen    = new Set([current]);
+  return [...(p.nameHistory || [])]
+    .sort((a, b) => b.lastSeen - a.lastSeen)
+    .map(h => h.name)
+    .filter(n => !seen.has(n.toLowerCase()) && seen.add(n.toLowerCase()));
+}
+
+/** v4 → v5: derive nameKeys / nameHistory for players stored before renames were tracked. */
+function addNameHistory(players) {
+  players.openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    const p = cursor.value;
+    p.nameKeys    = [...new Set((p.names || []).map(n => n.toLowerCase()))];
+    p.nameHistory = p.nickname ? [{ name: p.nickname, firstSeen: p.firstSeen, lastSeen: p.lastSeen }] : [];
+    cursor.update(p);
+    cursor.continue();
+  };
+}
+
+/** The player sighting implied by a stored chat message. */
+function messageSighting(record) {
+  return {
+    server:    record.server,
+    id:        record.playerId,
+    timestamp: record.timestamp,
+    nickname:  record.username,
+    room:      record.room,
+    messages:  1,
+  };
+}
+
+/**
+ * Merge sightings ({ server, id, ...sighting }) into the players store inside
+ * an open readwrite transaction. Sightings are grouped per player first: two
+ * get→put pairs for the same key in one transaction would lose an update.
+ */
+function touchPlayers(store, sightings) {
+  const byKey = new Map();
+  for (const s of sightings) {
+    if (!s.server || s.id === null || s.id === undefined) continue;
+    const key = `${s.server}|${s.id}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(s);
+  }
+  byKey.forEach((list) => {
+    const server = list[0].server;
+    const id     = Number(list[0].id);
+    store.get([server, id]).onsuccess = (e) => {
+      const p = e.target.result || newPlayer(server, id, list[0].timestamp);
+      list.forEach(s => mergeSighting(p, s));
+      store.put(p);
+    };
+  });
+}
+
+/** Seed a freshly created players store from the messages already on disk. */
+function backfillPlayers(messages, players) {
+  const seen = new Map();
+  messages.openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (cursor) {
+      const r = cursor.value;
+      if (r.server && r.playerId !== null && r.playerId !== undefined) {
+        const key = `${r.server}|${r.playerId}`;
+        const p   = seen.get(key) || newPlayer(r.server, Number(r.playerId), r.timestamp);
+        seen.set(key, mergeSighting(p, messageSighting(r)));
+      }
+      cursor.continue();
+      return;
+    }
+    seen.forEach(p => players.put(p));
+  };
+}
+
+/** Most recently seen players first, optionally limited to one server. */
+async function playersList({ server, limit = 500 } = {}) {
+  const db      = await openDB();
+  const tx      = db.transaction(PLAYERS_STORE, 'readonly');
+  const players = [];
+  tx.objectStore(PLAYERS_STORE).index('lastSeen').openCursor(null, 'prev').onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor || players.length >= limit) return;
+    if (!server || cursor.value.server === server) players.push(cursor.value);
+    cursor.continue();
+  };
+  await txDone(tx);
+  players.forEach(p => { p.formerNames = formerNames(p); });
+  return players;
+}
+
+// ─── Sessions ───────────────────────────────────────────────────────────────
+// One record per page load (panel.js's SESSION_ID): which server, who we were
+// logged in as, the rooms joined in order, and how much chat was captured.
+// endedAt tracks the last activity, so a crashed tab still gets a sane end.
+
+function newSession(id, server, ts) {
+  return {
+    id, server,
+    startedAt:    ts,
+    endedAt:      ts,
+    ownPlayerId:  null,
+    ownUsername:  null,
+    rooms:        [],   // [{ room, joinedAt }] in join order
+    messageCount: 0,
+    sentCount:    0,    // of which outgoing
+  };
+}
+
+function visitRoom(session, room, ts) {
+  const last = session.rooms[session.rooms.length - 1];
+  if (room && (!last || last.room !== room)) session.rooms.push({ room, joinedAt: ts });
+}
+
+function mergeSessionMessage(session, r) {
+  session.startedAt = Math.min(session.startedAt, r.timestamp);
+  session.endedAt   = Math.max(session.endedAt, r.timestamp);
+  session.messageCount++;
+  if (r.direction === 'out') session.sentCount++;
+  visitRoom(session, r.room, r.timestamp);
+  if (!session.server && r.server) session.server = r.server;
+}
+
+/** Count stored messages against their sessions (grouped, like touchPlayers). */
+function touchSessions(store, records) {
+  const bySession = new Map();
+  for (const r of records) {
+    if (!r.session) continue;
+    if (!bySession.has(r.session)) bySession.set(r.session, []);
+    bySession.get(r.session).push(r);
+  }
+  bySession.forEach((list, id) => {
+    store.get(id).onsuccess = (e) => {
+      const session = e.target.result || newSession(id, list[0].server || null, list[0].timestamp);
+      list.forEach(r => mergeSessionMessage(session, r));
+      store.put(session);
+    };
+  });
+}
+
+/** Seed a freshly created sessions store from the messages already on disk. */
+function backfillSessions(messages, sessions) {
+  const seen = new Map();
+  messages.openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (cursor) {
+      const r = cursor.value;
+      if (r.session) {
+        const session = seen.get(r.session) || newSession(r.session, r.server || null, r.timestamp);
+        mergeSessionMessage(session, r);
+        seen.set(r.session, session);
+      }
+      cursor.continue();
+      return;
+    }
+    seen.forEach(session => sessions.put(session));
+  };
+}
+
+/**
+ * Apply a partial update to one session, creating it if needed.
+ * patch: { id, server?, startedAt?, ownPlayerId?, ownUsername?, room?, timestamp?, endedAt? }
+ */
+async function sessionsUpdate(patch) {
+  if (!patch || !patch.id) return;
+  const db    = await openDB();
+  const tx    = db.transaction(SESSIONS_STORE, 'readwrite');
+  const store = tx.objectStore(SESSIONS_STORE);
+  const ts    = patch.timestamp || patch.startedAt || Date.now();
+  store.get(patch.id).onsuccess = (e) => {
+    const session = e.target.result || newSession(patch.id, patch.server || null, ts);
+    if (patch.server) session.server = patch.server;
+    if (patch.startedAt) session.startedAt = Math.min(session.startedAt, patch.startedAt);
+    if (patch.ownPlayerId !== undefined && patch.ownPlayerId !== null) session.ownPlayerId = patch.ownPlayerId;
+    if (patch.ownUsername) session.ownUsername = patch.ownUsername;
+    if (patch.room) visitRoom(session, patch.room, ts);
+    session.endedAt = Math.max(session.endedAt, patch.endedAt || ts);
+    store.put(session);
+  };
+  await txDone(tx);
+}
+
+/** Most recent sessions first, optionally limited to one server. */
+async function sessionsList({ server, limit = 200 } = {}) {
+  const db       = await openDB();
+  const tx       = db.transaction(SESSIONS_STORE, 'readonly');
+  const sessions = [];
+  tx.objectStore(SESSIONS_STORE).index('startedAt').openCursor(null, 'prev').onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor || sessions.length >= limit) return;
+    if (!server || cursor.value.server === server) sessions.push(cursor.value);
+    cursor.continue();
+  };
+  await txDone(tx);
+  return sessions;
+}
+
+// ─── Presence ───────────────────────────────────────────────────────────────
+// Timeline of who was in which room, from hook.js's PLAYER_EVENT stream:
+//   present — already in the room when we joined it (join_room.users)
+//   enter   — arrived after us (add_player)
+//   leave   — left the room (remove_player)
+// Entry: { server, session, room, playerId, name, type, timestamp }
+
+/** Store presence entries and count them as player sightings, in one transaction. */
+async function presenceAdd(entries) {
+  const db    = await openDB();
+  const tx    = db.transaction([PRESENCE_STORE, PLAYERS_STORE], 'readwrite');
+  const store = tx.objectStore(PRESENCE_STORE);
+  entries.forEach(entry => store.add(entry));
+  touchPlayers(tx.objectStore(PLAYERS_STORE), entries.map(entry => ({
+    server:    entry.server,
+    id:        entry.playerId,
+    timestamp: entry.timestamp,
+    // Leave events only carry a looked-up display name — just bump lastSeen
+    username:  entry.type === 'leave' ? null : entry.username,
+    nickname:  entry.type === 'leave' ? null : entry.name,
+    room:      entry.type === 'leave' ? null : entry.room,
+  })));
+  pruneStore(store, MAX_PRESENCE, entries.length);
+  await txDone(tx);
+}
+
+/** Presence entries in [from, to], oldest first, filtered like dbGetAll. */
+async function presenceList({ from = 0, to = Date.now(), server, room, session } = {}) {
+  const db      = await openDB();
+  const tx      = db.transaction(PRESENCE_STORE, 'readonly');
+  const entries = [];
+  tx.objectStore(PRESENCE_STORE).index('timestamp')
+    .openCursor(IDBKeyRange.bound(from, to)).onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      const entry = cursor.value;
+      if ((!server  || entry.server  === server)
+       && (!room    || entry.room    === room)
+       && (!session || entry.session === session)) entries.push(entry);
+      cursor.continue();
+    };
+  await txDone(tx);
+  return entries;
+}
+
+// Entries from one join_room arrive within this window of each other
+const PRESENT_GROUP_MS = 2000;
+// Without a session to scope by, look this far back for the last room join
+const ROSTER_LOOKBACK_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Rebuild who was in `room` at `timestamp`: start from the latest join_room
+ * snapshot before it, then replay enters and leaves up to that moment.
+ * `complete` is false when no snapshot was found (joined before presence was
+ * recorded, or it has been pruned) — the roster is then only the enters seen.
+ */
+async function presenceRoster({ server, session, room, timestamp }) {
+  const db    = await openDB();
+  const tx    = db.transaction(PRESENCE_STORE, 'readonly');
+  const store = tx.objectStore(PRESENCE_STORE);
+  const req   = session
+    ? store.index('session').getAll(IDBKeyRange.only(session))
+    : store.index('timestamp').getAll(IDBKeyRange.bound(timestamp - ROSTER_LOOKBACK_MS, timestamp));
+  await txDone(tx);
+
+  const entries = req.result
+    .filter(entry => entry.room === room && entry.timestamp <= timestamp
+      && (!server || entry.server === server))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  let roster   = new Map();
+  let complete = false;
+  let lastPresent = null;
+  for (const entry of entries) {
+    if (entry.type === 'present') {
+      // A new burst of 'present' rows means we (re)joined — start over
+      if (!lastPresent || entry.timestamp - lastPresent >= PRESENT_GROUP_MS) {
+        roster   = new Map();
+        complete = true;
+      }
+      lastPresent = entry.timestamp;
+    } else {
+      lastPresent = null;
+    }
+    if (entry.type === 'leave') roster.delete(entry.playerId);
+    else roster.set(entry.playerId, { playerId: entry.playerId, name: entry.name, since: entry.timestamp });
+  }
+  return { roster: [...roster.values()], complete };
+}
+
+// ─── Messages ───────────────────────────────────────────────────────────────
+
+// Row counts per store, kept in memory so a write doesn't count() the whole
+// store. The worker may be restarted at any time; a missing entry just means
+// the next write counts once.
+const rowCounts = new Map();
+
+/**
+ * Delete the oldest records (by timestamp) towards the cap, at most
+ * PRUNE_CHUNK per call. `added` is how many rows this transaction inserted.
+ * Messages go through pruneMessages instead, which applies the retention policy.
+ */
+function pruneStore(store, max, added = 1) {
+  const name = store.name;
+  store.transaction.addEventListener('abort', () => rowCounts.delete(name));
+
+  const prune = (count) => {
+    rowCounts.set(name, count);
+    let excess = Math.min(count - max, PRUNE_CHUNK);
+    if (excess <= 0) return;
+    store.index('timestamp').openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor || excess <= 0) return;
+      cursor.delete();
+      rowCounts.set(name, rowCounts.get(name) - 1);
+      excess--;
+      cursor.continue();
+    };
+  };
+
+  if (rowCounts.has(name)) prune(rowCounts.get(name) + added);
+  else store.count().onsuccess = (e) => prune(e.target.result); // already includes this write
+}
+
+/** Insert one record; resolves with its auto-increment id. */
+async function dbPut(record) {
+  await loadRetention();
+  const db    = await openDB();
+  const tx    = db.transaction([STORE_NAME, PLAYERS_STORE, SESSIONS_STORE], 'readwrite');
+  const store = tx.objectStore(STORE_NAME);
+  let id = null;
+  record.tokens = recordTokens(record);
+  store.add(record).onsuccess = (e) => { id = e.target.result; };
+  touchPlayers(tx.objectStore(PLAYERS_STORE), [messageSighting(record)]);
+  touchSessions(tx.objectStore(SESSIONS_STORE), [record]);
+  pruneMessages(store, [record]);
+  await txDone(tx);
+  return id;
+}
+
+/**
+ * Insert many records in one transaction; resolves with their ids, in order.
+ * This is also the panel's write path — its queue batches live messages here.
+ */
+async function dbImport(records) {
+  await loadRetention();
+  const db    = await openDB();
+  const tx    = db.transaction([STORE_NAME, PLAYERS_STORE, SESSIONS_STORE], 'readwrite');
+  const store = tx.objectStore(STORE_NAME);
+  const ids   = new Array(records.length).fill(null);
+  records.forEach((record, i) => {
+    record.tokens = recordTokens(record);
+    store.add(record).onsuccess = (e) => { ids[i] = e.target.result; };
+  });
+  touchPlayers(tx.objectStore(PLAYERS_STORE), records.map(messageSighting));
+  touchSessions(tx.objectStore(SESSIONS_STORE), records);
+  pruneMessages(store, records);
+  await txDone(tx);
+  return ids;
+}
+
+// Messages logged before hook.js knew an id's text. Every placeholder
+// carries its kind's token, so the tokens index finds them without a full
+// scan.
+const PLACEHOLDERS = {
+  safe:   { token: 'safe',  eventName: 'send_safe',  pattern: /^\[Safe #(\d+)\]$/,  text: t => t },
+  emotes: { token: 'emote', eventName: 'send_emote', pattern: /^\[Emote #(\d+)\]$/, text: t => `[Emote: ${t}]` },
+  jokes:  { token: 'joke',  eventName: 'send_joke',  pattern: /^\[Joke #(\d+)\]$/,  text: t => t },
+  // Phrase keys are words (hello_there), not numbers
+  phrases: { token: 'phrase', eventName: 'send_safe', pattern: /^\[Phrase #([\w.-]+)\]$/, text: t => t },
+};
+
+/** Call visit(cursor, kind, id) for each of this server's placeholder rows. */
+function walkPlaceholders(store, server, visit) {
+  for (const [kind, p] of Object.entries(PLACEHOLDERS)) {
+    store.index('tokens').openCursor(IDBKeyRange.only(p.token)).onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      const r = cursor.value;
+      const m = r.server === server && r.eventName === p.eventName && p.pattern.exec(r.message);
+      if (m) visit(cursor, kind, m[1]);
+      cursor.continue();
+    };
+  }
+}
+
+/**
+ * Rewrite placeholders with text from tables ({ safe, emotes, jokes, phrases }, each
+ * id -> text). Resolves with how many messages changed.
+ */
+async function dbBackfillPlaceholders({ server, tables }) {
+  if (!server || !tables) return 0;
+  const db    = await openDB();
+  const tx    = db.transaction(STORE_NAME, 'readwrite');
+  let updated = 0;
+  walkPlaceholders(tx.objectStore(STORE_NAME), server, (cursor, kind, id) => {
+    const text = tables[kind] && tables[kind][id];
+    if (typeof text !== 'string' || !text) return;
+    const next = { ...cursor.value, message: PLACEHOLDERS[kind].text(text) };
+    next.tokens = recordTokens(next);
+    cursor.update(next);
+    updated++;
+  });
+  await txDone(tx);
+  return updated;
+}
+
+/** Ids still showing a placeholder: { safe: { id: count }, emotes, jokes, phrases }. */
+async function dbPlaceholders({ server }) {
+  const counts = Object.fromEntries(Object.keys(PLACEHOLDERS).map(kind => [kind, {}]));
+  if (!server) return counts;
+  const db = await openDB();
+  const tx = db.transaction(STORE_NAME, 'readonly');
+  walkPlaceholders(tx.objectStore(STORE_NAME), server, (cursor, kind, id) => {
+    counts[kind][id] = (counts[kind][id] || 0) + 1;
+  });
+  await txDone(tx);
+  return counts;
+}
+
+// ─── Igloos ─────────────────────────────────────────────────────────────────
+// An igloo's room id is its owner's penguin id + 2000. hook.js labels it
+// "Igloo #<owner id>" until it knows the owner's name, then "<owner>'s
+// Igloo". Rows stored under the placeholder are relabelled once the owner
+// is known, from igloo traffic or from the players store.
+
+const IGLOO_PLACEHOLDER = /^Igloo #(\d+)$/;
+const IGLOO_ROOMS = server => IDBKeyRange.bound([server, 'Igloo #'], [server, 'Igloo #\uffff']);
+
+/**
+ * Owner names for this server's placeholder igloos: `owners` ({ id: name })
+ * first, then the players store. `ids` adds igloos not in messages yet.
+ * Resolves with { owners, unresolved } (ids still without a name).
+ */
+async function iglooOwners(db, server, owners, ids) {
+  const tx      = db.transaction([STORE_NAME, PLAYERS_STORE], 'readonly');
+  const wanted  = new Set([...Object.keys(owners), ...ids].map(String));
+  const found   = {};
+  tx.objectStore(STORE_NAME).index('server_room').openKeyCursor(IGLOO_ROOMS(server), 'nextunique').onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (cursor) {
+      const m = IGLOO_PLACEHOLDER.exec(cursor.key[1]);
+      if (m) wanted.add(m[1]);
+      cursor.continue();
+      return;
+    }
+    for (const id of wanted) {
+      if (!isPlaceholderName(owners[id])) { found[id] = owners[id]; continue; }
+      tx.objectStore(PLAYERS_STORE).get([server, Number(id)]).onsuccess = (ev) => {
+        const p    = ev.target.result;
+        const name = p && [p.nickname, p.username].find(n => n && !isPlaceholderName(n));
+        if (name) found[id] = name;
+      };
+    }
+  };
+  await txDone(tx);
+  return { owners: found, unresolved: [...wanted].filter(id => !found[id]) };
+}
+
+/** Relabel "Igloo #N" in messages, presence, sessions and players. */
+async function iglooResolve({ server, owners = {}, ids = [] }) {
+  if (!server) return { owners: {}, unresolved: [] };
+  const db     = await openDB();
+  const result = await iglooOwners(db, server, owners, ids);
+  const labels = new Map(Object.entries(result.owners).map(([id, name]) => [`Igloo #${id}`, `${name}'s Igloo`]));
+  if (!labels.size) return result;
+
+  const tx = db.transaction([STORE_NAME, PRESENCE_STORE, SESSIONS_STORE, PLAYERS_STORE], 'readwrite');
+  const relabel = room => labels.get(room) || room;
+  const rewrite = (req, change) => {
+    req.onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      const next = change(cursor.value);
+      if (next) cursor.update(next);
+      cursor.continue();
+    };
+  };
+  // Relabelled rows leave the placeholder range, so the cursor won't see them twice
+  rewrite(tx.objectStore(STORE_NAME).index('server_room').openCursor(IGLOO_ROOMS(server)),
+    r => labels.has(r.room) && { ...r, room: labels.get(r.room) });
+  rewrite(tx.objectStore(PRESENCE_STORE).openCursor(),
+    p => p.server === server && labels.has(p.room) && { ...p, room: labels.get(p.room) });
+  rewrite(tx.objectStore(SESSIONS_STORE).index('server').openCursor(IDBKeyRange.only(server)),
+    s => s.rooms.some(v => labels.has(v.room)) && { ...s, rooms: s.rooms.map(v => ({ ...v, room: relabel(v.room) })) });
+  rewrite(tx.objectStore(PLAYERS_STORE).index('server').openCursor(IDBKeyRange.only(server)),
+    p => (p.rooms.some(r => labels.has(r)) || labels.has(p.lastRoom))
+      && { ...p, rooms: [...new Set(p.rooms.map(relabel))], lastRoom: p.lastRoom && relabel(p.lastRoom) });
+  await txDone(tx);
+  return result;
+}
+
+// ─── Queries ────────────────────────────────────────────────────────────────
+// Messages are never loaded wholesale: a query walks the narrowest
+// [..., timestamp] index for its filter with a cursor, tests the remaining
+// conditions per record, and stops once a page is full.
+//
+// filter: { server, room, session, username, from, to, search, match, sort, regex, ids, query }
+// Paging: { limit, direction: 'prev' (newest first) | 'next', cursor }
+// Reply:  { records (always oldest first), cursor, done }
+//
+// `search` goes through the token index instead (see Full-text search), and
+// `query` is expanded into the other fields first (see Query language).
+
+const DEFAULT_PAGE = 500;
+
+/** Pick the index whose key prefix covers the most equality filters. */
+function queryIndex(filter) {
+  if (filter.session)                 return { name: 'session_timestamp',     prefix: [filter.session] };
+  if (filter.server && filter.room)   return { name: 'server_room_timestamp', prefix: [filter.server, filter.room] };
+  if (filter.username)                return { name: 'username_timestamp',    prefix: [filter.username] };
+  if (filter.room)                    return { name: 'room_timestamp',        prefix: [filter.room] };
+  if (filter.server)                  return { name: 'server_timestamp',      prefix: [filter.server] };
+  return { name: 'timestamp', prefix: [] };
+}
+
+function indexRange(prefix, from, to) {
+  if (!prefix.length) return IDBKeyRange.bound(from, to);
+  return IDBKeyRange.bound([...prefix, from], [...prefix, to]);
+}
+
+/** Player keys ("server|id") whose current or former names contain `q`. */
+async function playersMatching(store, q) {
+  const keys = new Set();
+  await new Promise((resolve) => {
+    // Key cursor over the name index — no player records are loaded
+    store.index('nameKeys').openKeyCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return resolve();
+      if (cursor.key.includes(q)) keys.add(cursor.primaryKey.join('|'));
+      cursor.continue();
+    };
+  });
+  return keys;
+}
+
+function compileRegex(regex) {
+  if (!regex) return null;
+  try { return new RegExp(regex, 'i'); } catch (_) { return null; }
+}
+
+/** Build the per-record test for conditions the index range doesn't cover. */
+function recordPredicate(filter, matchingPlayers = new Set()) {
+  const re = compileRegex(filter.regex);
+  // An invalid regex falls back to a plain substring search
+  const text = filter.regex && !re ? filter.regex.toLowerCase() : '';
+  const ids  = filter.ids ? new Set(filter.ids.map(Number)) : null;
+  const where = filter.where || null;
+
+  return (r) => {
+    if (filter.server   && r.server   !== filter.server)   return false;
+    if (filter.room     && r.room     !== filter.room)     return false;
+    if (filter.session  && r.session  !== filter.session)  return false;
+    if (filter.username && r.username !== filter.username) return false;
+    if (filter.from != null && r.timestamp < filter.from)  return false;
+    if (filter.to   != null && r.timestamp > filter.to)    return false;
+    if (ids && !ids.has(r.id)) return false;
+    if (where && !where(r)) return false;
+    if (re) {
+      return re.test(r.message) || re.test(r.username)
+        || (r.playerId != null && matchingPlayers.has(`${r.server}|${r.playerId}`));
+    }
+    if (text) {
+      // A name matches every message from that penguin, whatever they were called at the time
+      return r.message.toLowerCase().includes(text) || r.username.toLowerCase().includes(text)
+        || (r.playerId != null && matchingPlayers.has(`${r.server}|${r.playerId}`));
+    }
+    return true;
+  };
+}
+
+async function dbQuery({ filter = {}, limit = DEFAULT_PAGE, direction = 'prev', cursor = null } = {}) {
+  await loadRetention(); // is:bookmarked / is:friend and ignored players read the synced lists
+  const db = await openDB();
+  const tx = db.transaction([STORE_NAME, PLAYERS_STORE], 'readonly');
+  if (filter.query) filter = await expandQuery(tx, filter);
+  // Ignored players stay out of results (and so exports) unless asked for
+  if (!filter.includeIgnored && ignoredKeys.size) {
+    const where = filter.where;
+    filter = { ...filter, where: (r) => !isIgnoredRecord(r) && (!where || where(r)) };
+  }
+
+  const terms = filter.search ? parseSearch(filter.search) : [];
+  const page  = terms.length
+    ? await searchPage(tx, filter, terms, { limit, direction, cursor })
+    : await scanPage(tx, filter, { limit, direction, cursor });
+
+  await decorate(tx, page.records);
+  if (direction === 'prev') page.records.reverse();
+  return page;
+}
+
+/** Attach identity to a page of records, fetching each sender's player record once. */
+async function decorate(tx, records) {
+  const players = tx.objectStore(PLAYERS_STORE);
+  const wanted  = new Map();
+  for (const r of records) {
+    if (r.playerId !== null && r.playerId !== undefined) wanted.set(`${r.server}|${r.playerId}`, [r.server, r.playerId]);
+  }
+  const found = new Map();
+  await Promise.all([...wanted].map(([key, pk]) => new Promise((resolve) => {
+    const req = players.get(pk);
+    req.onsuccess = () => { if (req.result) found.set(key, req.result); resolve(); };
+    req.onerror   = () => resolve();
+  })));
+  for (const r of records) {
+    attachIdentity(r, found.get(`${r.server}|${r.playerId}`));
+    delete r.tokens; // index-only, not part of the message
+  }
+}
+
+/**
+ * The conversation around one message: up to `before` / `after` messages on
+ * either side in the same room and session (same room and server for records
+ * older than sessions). Reply: { records (oldest first), hit, moreBefore, moreAfter }.
+ */
+async function dbContext({ id, before = 10, after = 10 }) {
+  const db    = await openDB();
+  const tx    = db.transaction([STORE_NAME, PLAYERS_STORE], 'readonly');
+  const [hit] = await getRecords(tx.objectStore(STORE_NAME), [Number(id)]);
+  if (!hit) return null;
+
+  const filter = hit.session
+    ? { session: hit.session, room: hit.room }
+    : { server: hit.server, room: hit.room };
+  const cursor = { timestamp: hit.timestamp, id: hit.id };
+  const none   = { records: [], done: true }; // a zero limit would mean "no limit"
+  const older  = before > 0 ? await scanPage(tx, filter, { limit: before, direction: 'prev', cursor }) : none;
+  const newer  = after  > 0 ? await scanPage(tx, filter, { limit: after,  direction: 'next', cursor }) : none;
+  const records = [...older.records.reverse(), hit, ...newer.records];
+  await decorate(tx, records);
+  return { records, hit: hit.id, moreBefore: !older.done, moreAfter: !newer.done };
+}
+
+/** Walk the best [..., timestamp] index range, testing each record. */
+async function scanPage(tx, filter, { limit, direction, cursor }) {
+  const store = tx.objectStore(STORE_NAME);
+
+  let matchingPlayers = new Set();
+  if (filter.regex) {
+    const players = tx.objectStore(PLAYERS_STORE);
+    const re = compileRegex(filter.regex);
+    if (re) {
+      // Regexes can't use the name index's keys directly, so test each player's names
+      await new Promise((resolve) => {
+        players.openCursor().onsuccess = (e) => {
+          const c = e.target.result;
+          if (!c) return resolve();
+          if ((c.value.names || []).some(n => re.test(n))) matchingPlayers.add(`${c.value.server}|${c.value.id}`);
+          c.continue();
+        };
+      });
+    } else {
+      matchingPlayers = await playersMatching(players, filter.regex.toLowerCase());
+    }
+  }
+  const test = recordPredicate(filter, matchingPlayers);
+
+  const { name, prefix } = queryIndex(filter);
+  let from = filter.from ?? 0;
+  let to   = filter.to   ?? Number.MAX_SAFE_INTEGER;
+  // Resume from the last record of the previous page (ties broken by id)
+  if (cursor) {
+    if (direction === 'prev') to = cursor.timestamp;
+    else from = cursor.timestamp;
+  }
+  const isPast = (r) => cursor && r.timestamp === cursor.timestamp
+    && (direction === 'prev' ? r.id >= cursor.id : r.id <= cursor.id);
+
+  const records = [];
+  let done = true;
+  await new Promise((resolve, reject) => {
+    const req = store.index(name).openCursor(indexRange(prefix, from, to), direction);
+    req.onerror = () => reject(req.error);
+    req.onsuccess = (e) => {
+      const c = e.target.result;
+      if (!c) return resolve();
+      const r = c.value;
+      if (!isPast(r) && test(r)) {
+        if (limit && records.length >= limit) { done = false; return resolve(); }
+        records.push(r);
+      }
+      c.continue();
+    };
+  });
+
+  const last = records[records.length - 1];
+  return { records, cursor: last ? { timestamp: last.timestamp, id: last.id } : cursor, done };
+}
+
+// ─── Full-text search ───────────────────────────────────────────────────────
+// Every message carries `tokens`: its words folded to lowercase without
+// diacritics, plus "@<sender name>". The multiEntry `tokens` index over them
+// is the inverted index, and IndexedDB keeps it in step with every add,
+// update and prune. A search resolves each term to message ids from index
+// keys alone, combines them, and only then loads records — one page's worth
+// for newest-first, or the most recent RELEVANCE_CAP candidates for ranking.
+//
+// Syntax: see shared/query.js. filter.match: 'all' (default) | 'any';
+// filter.sort: 'recent' (default) | 'relevance'.
+
+const NAME_TOKEN    = '@';
+const RELEVANCE_CAP = 5_000;
+const SEARCH_CHUNK  = 200;   // records fetched per round while filling a page
+
+function recordTokens(record) {
+  const tokens = new Set(tokenize(record.message || ''));
+  if (record.username) tokens.add(NAME_TOKEN + foldText(record.username));
+  return [...tokens];
+}
+
+/** Backfill tokens for messages stored before the index existed (upgrade only). */
+function addTokens(messages) {
+  messages.openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    cursor.update({ ...cursor.value, tokens: recordTokens(cursor.value) });
+    cursor.continue();
+  };
+}
+
+function tokenRange(token, prefix) {
+  return prefix ? IDBKeyRange.bound(token, token + '\uffff') : IDBKeyRange.only(token);
+}
+
+/** Primary keys under `range` of an index, read from keys only. */
+function indexIds(index, range) {
+  return new Promise((resolve) => {
+    const ids = new Set();
+    index.openKeyCursor(range).onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return resolve(ids);
+      ids.add(cursor.primaryKey);
+      cursor.continue();
+    };
+  });
+}
+
+/**
+ * Messages sent under any name of a penguin whose name matches `word` — so a
+ * search for a player finds everything they said, whatever they were called.
+ */
+async function nameIds(tx, word, prefix) {
+  const tokens = tx.objectStore(STORE_NAME).index('tokens');
+  const names  = new Set();
+  await new Promise((resolve) => {
+    tx.objectStore(PLAYERS_STORE).index('nameKeys').openCursor(tokenRange(word, prefix)).onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return resolve();
+      (cursor.value.names || []).forEach(n => names.add(NAME_TOKEN + foldText(n)));
+      cursor.continue();
+    };
+  });
+  // Senders we never linked to a penguin id still match on the name they used
+  const ids = await indexIds(tokens, tokenRange(NAME_TOKEN + word, prefix));
+  for (const name of names) {
+    for (const id of await indexIds(tokens, IDBKeyRange.only(name))) ids.add(id);
+  }
+  return ids;
+}
+
+/** Candidate ids -> indexes of the terms each one matched (before phrase checks). */
+async function searchCandidates(tx, terms, match) {
+  const tokens = tx.objectStore(STORE_NAME).index('tokens');
+  const hits   = new Map();
+  for (const [t, term] of terms.entries()) {
+    let ids = null;
+    for (const [i, word] of term.words.entries()) {
+      const got = await indexIds(tokens, tokenRange(word, term.prefix && i === term.words.length - 1));
+      ids = ids ? new Set([...ids].filter(id => got.has(id))) : got;
+      if (!ids.size) break;
+    }
+    if (!term.phrase) {
+      for (const id of await nameIds(tx, term.words[0], term.prefix)) ids.add(id);
+    }
+    for (const id of ids) {
+      if (!hits.has(id)) hits.set(id, []);
+      hits.get(id).push(t);
+    }
+  }
+  if (match === 'any') return hits;
+  for (const [id, matched] of hits) if (matched.length < terms.length) hits.delete(id);
+  return hits;
+}
+
+/** Do the phrase's words appear next to each other, in order? */
+function hasPhrase(words, term) {
+  const n = term.words.length;
+  for (let i = 0; i + n <= words.length; i++) {
+    let ok = true;
+    for (let k = 0; k < n && ok; k++) {
+      const w = words[i + k];
+      ok = k === n - 1 && term.prefix ? w.startsWith(term.words[k]) : w === term.words[k];
+    }
+    if (ok) return true;
+  }
+  return false;
+}
+
+/**
+ * Score a loaded record against the terms it matched in the index, or null if
+ * it fails a phrase check. Exact words count double a prefix hit, phrases
+ * double again, and repeated words add a little (term frequency).
+ */
+function searchScore(r, terms, matched, match) {
+  const words = tokenize(r.message || '');
+  let score = 0;
+  let count = 0;
+  for (const t of matched) {
+    const term = terms[t];
+    if (term.phrase && !hasPhrase(words, term)) continue;
+    const word = term.words[0];
+    const tf   = term.phrase ? 1 : words.filter(w => term.prefix ? w.startsWith(word) : w === word).length;
+    score += (term.prefix ? 1 : 2) * (term.phrase ? 2 : 1) * (tf ? 1 + Math.log(tf) : 0.75); // tf 0: name match
+    count++;
+  }
+  if (count === 0 || (match !== 'any' && count < terms.length)) return null;
+  return score;
+}
+
+function getRecords(store, ids) {
+  return Promise.all(ids.map(id => new Promise((resolve) => {
+    const req = store.get(id);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => resolve(undefined);
+  })));
+}
+
+async function searchPage(tx, filter, terms, { limit, direction, cursor }) {
+  const store = tx.objectStore(STORE_NAME);
+  const match = filter.match === 'any' ? 'any' : 'all';
+  const hits  = await searchCandidates(tx, terms, match);
+  const test  = recordPredicate({ ...filter, search: undefined });
+  // Ids grow with insertion time, so id order is (close to) time order
+  const ids   = [...hits.keys()].sort((a, b) => a - b);
+
+  if (filter.sort === 'relevance') {
+    // Best match first; the cursor is just an offset into the ranking
+    const recent = await getRecords(store, ids.slice(-RELEVANCE_CAP));
+    const ranked = [];
+    for (const r of recent) {
+      if (!r || !test(r)) continue;
+      const score = searchScore(r, terms, hits.get(r.id), match);
+      if (score !== null) ranked.push({ r, score });
+    }
+    ranked.sort((a, b) => b.score - a.score || b.r.timestamp - a.r.timestamp);
+    const offset = (cursor && cursor.offset) || 0;
+    const slice  = ranked.slice(offset, limit ? offset + limit : undefined);
+    const end    = offset + slice.length;
+    return { records: slice.map(x => x.r), cursor: { offset: end }, done: end >= ranked.length };
+  }
+
+  if (direction === 'prev') ids.reverse();
+  let pos = 0;
+  if (cursor && cursor.id != null) {
+    pos = ids.findIndex(id => direction === 'prev' ? id < cursor.id : id > cursor.id);
+    if (pos < 0) pos = ids.length;
+  }
+
+  const records = [];
+  let done = true;
+  outer: while (pos < ids.length) {
+    const chunk = ids.slice(pos, pos + SEARCH_CHUNK);
+    pos += chunk.length;
+    for (const r of await getRecords(store, chunk)) {
+      if (!r || !test(r) || searchScore(r, terms, hits.get(r.id), match) === null) continue;
+      if (limit && records.length >= limit) { done = false; break outer; }
+      records.push(r);
+    }
+  }
+  // A page is one id range, so keep it in time order for the list
+  records.sort((a, b) => direction === 'prev' ? b.timestamp - a.timestamp : a.timestamp - b.timestamp);
+  const last = records[records.length - 1];
+  const lastId = records.length ? records.reduce((m, r) => direction === 'prev' ? Math.min(m, r.id) : Math.max(m, r.id), records[0].id) : null;
+  return {
+    records,
+    cursor: last ? { timestamp: last.timestamp, id: lastId } : cursor,
+    done,
+  };
+}
+
+// ─── Query language ─────────────────────────────────────────────────────────
+// filter.query is what the user typed: free text plus operators, parsed and
+// tested by shared/query.js exactly as the panel does for live messages.
+
+/** Player keys ("server|id") that have ever used exactly one of `names`. */
+async function playersNamed(tx, names) {
+  const keys  = new Set();
+  const index = tx.objectStore(PLAYERS_STORE).index('nameKeys');
+  for (const name of names) {
+    for (const pk of await new Promise((resolve) => {
+      const req = index.getAllKeys(IDBKeyRange.only(name.toLowerCase()));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => resolve([]);
+    })) keys.add(pk.join('|'));
+  }
+  return keys;
+}
+
+/** playersNamed for the panel, which tests from: on live messages itself. */
+async function playersNamedList({ names = [] } = {}) {
+  const db = await openDB();
+  const tx = db.transaction(PLAYERS_STORE, 'readonly');
+  return [...await playersNamed(tx, names)];
+}
+
+/**
+ * Fold filter.query into a plain filter: text into `search`, positive dates
+ * into the from/to index range, and everything else into a `where` test.
+ */
+async function expandQuery(tx, filter) {
+  const { clauses, search, exclude } = parseQuery(filter.query);
+  const from = fromNames(clauses);
+  const ctx  = {
+    named:      from.length ? await playersNamed(tx, from) : new Set(),
+    bookmarked: (r) => bookmarkIds.has(r.id),
+    friend:     (r) => friendKeys.has(`${r.server}#${r.playerId}`) || friendKeys.has(r.username),
+  };
+
+  const out = { ...filter, query: undefined };
+  out.search = [filter.search, search].filter(Boolean).join(' ');
+  for (const c of clauses) {
+    const values = clauseValues(c);
+    if (c.negate || values.length !== 1) continue;
+    if (c.key === 'after')  out.from = Math.max(out.from ?? 0, parseQueryDate(values[0]));
+    if (c.key === 'before') out.to   = Math.min(out.to ?? Number.MAX_SAFE_INTEGER, parseQueryDate(values[0]) - 1);
+  }
+  const tests = clauseTests(clauses, ctx);
+  for (const term of exclude) {
+    tests.push((r) => {
+      const tokens = r.tokens || recordTokens(r);
+      if (term.phrase) return !hasPhrase(tokenize(r.message || ''), term);
+      const word = term.words[0];
+      const hit  = (t) => term.prefix ? t.startsWith(word) : t === word;
+      return !tokens.some(t => hit(t) || (t[0] === NAME_TOKEN && hit(t.slice(1))));
+    });
+  }
+  if (tests.length) out.where = (r) => tests.every(t => t(r));
+  return out;
+}
+
+/**
+ * Aggregate stats for the Stats tab and popup in a single cursor pass, so
+ * the store is never materialised in memory.
+ */
+async function dbStats({ server } = {}) {
+  const db    = await openDB();
+  const tx    = db.transaction([STORE_NAME, PLAYERS_STORE], 'readonly');
+  const store = tx.objectStore(STORE_NAME);
+  const req   = server
+    ? store.index('server_timestamp').openCursor(indexRange([server], 0, Number.MAX_SAFE_INTEGER))
+    : store.openCursor();
+
+  const todayStart = new Date();
+  todayStart.setHours(0, 0, 0, 0);
+  const weekStart = todayStart.getTime() - 6 * 86_400_000;
+
+  const stats = {
+    total: 0, today: 0,
+    rooms: new Map(), players: new Map(), playerNames: new Map(), playerKeys: new Map(),
+    hours: new Array(24).fill(0),
+    days:  new Array(7).fill(0), // oldest → today
+  };
+  await new Promise((resolve) => {
+    req.onsuccess = (e) => {
+      const c = e.target.result;
+      if (!c) return resolve();
+      const r = c.value;
+      stats.total++;
+      // Rooms are counted per server so "Town" on two servers is two rooms
+      const roomKey = `${r.server}|${r.room}`;
+      stats.rooms.set(roomKey, (stats.rooms.get(roomKey) || 0) + 1);
+      const playerKey = r.playerId != null ? `${r.server}#${r.playerId}` : `${r.server}|${r.username}`;
+      stats.players.set(playerKey, (stats.players.get(playerKey) || 0) + 1);
+      stats.playerNames.set(playerKey, r.username);
+      if (r.playerId != null) stats.playerKeys.set(playerKey, [r.server, r.playerId]);
+      const d = new Date(r.timestamp);
+      stats.hours[d.getHours()]++;
+      if (r.timestamp >= todayStart.getTime()) stats.today++;
+      if (r.timestamp >= weekStart) {
+        d.setHours(0, 0, 0, 0);
+        const day = Math.round((d.getTime() - weekStart) / 86_400_000);
+        if (day >= 0 && day < 7) stats.days[day]++;
+      }
+      c.continue();
+    };
+  });
+
+  const top = (map) => [...map].sort((a, b) => b[1] - a[1])[0] || null;
+  const topRoom   = top(stats.rooms);
+  const topPlayer = top(stats.players);
+  let topPlayerName = topPlayer ? stats.playerNames.get(topPlayer[0]) : null;
+  if (topPlayer && stats.playerKeys.has(topPlayer[0])) {
+    // Label the top player by their current name, not whatever they were called first
+    const preq = tx.objectStore(PLAYERS_STORE).get(stats.playerKeys.get(topPlayer[0]));
+    await new Promise((resolve) => { preq.onsuccess = preq.onerror = () => resolve(); });
+    if (preq.result) topPlayerName = preq.result.nickname || preq.result.username || topPlayerName;
+  }
+
+  return {
+    total:         stats.total,
+    today:         stats.today,
+    uniqueRooms:   stats.rooms.size,
+    uniquePlayers: stats.players.size,
+    topRoom:       topRoom ? [topRoom[0].split('|').slice(1).join('|'), topRoom[1]] : null,
+    topPlayer:     topPlayer ? [topPlayerName, topPlayer[1]] : null,
+    hours:         stats.hours,
+    days:          stats.days,
+  };
+}
+
+/**
+ * Decorate a message (in place, not persisted) with its sender's current name
+ * and earlier names, so every view can render "current (formerly X, Y)".
+ */
+function attachIdentity(record, player) {
+  if (!player) return record;
+  record.currentName = player.nickname || player.username || record.username;
+  record.formerNames = formerNames(player);
+  return record;
+}
+
+/** Distinct room names, optionally limited to one server. */
+async function dbGetRooms(server) {
+  const db    = await openDB();
+  const tx    = db.transaction(STORE_NAME, 'readonly');
+  const store = tx.objectStore(STORE_NAME);
+  const rooms = new Set();
+  // Key cursors yield each distinct key without loading the record values
+  const req = server
+    ? store.index('server_room').openKeyCursor(IDBKeyRange.bound([server], [server, []]), 'nextunique')
+    : store.index('room').openKeyCursor(null, 'nextunique');
+  req.onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    rooms.add(server ? cursor.key[1] : cursor.key);
+    cursor.continue();
+  };
+  await txDone(tx);
+  return [...rooms].sort();
+}
+
+/** Distinct server partition keys present in the store. */
+async function dbGetServers() {
+  const db      = await openDB();
+  const tx      = db.transaction(STORE_NAME, 'readonly');
+  const servers = [];
+  tx.objectStore(STORE_NAME).index('server').openKeyCursor(null, 'nextunique').onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (cursor) { servers.push(cursor.key); cursor.continue(); }
+  };
+  await txDone(tx);
+  return servers;
+}
+
+async function dbClear() {
+  const db = await openDB();
+  const tx = db.transaction([STORE_NAME, PLAYERS_STORE, SESSIONS_STORE, PRESENCE_STORE], 'readwrite');
+  tx.objectStore(PRESENCE_STORE).clear();
+  tx.objectStore(STORE_NAME).clear();
+  tx.objectStore(PLAYERS_STORE).clear();
+  tx.objectStore(SESSIONS_STORE).clear();
+  await txDone(tx);
+  rowCounts.clear();
+}
+
+// ─── Retention ──────────────────────────────────────────────────────────────
+// What gets pruned, configured from the panel and kept in chrome.storage.
+// Every write applies the policy incrementally (at most PRUNE_CHUNK deletions,
+// scoped to the rooms and servers it touched); the panel's "Prune now" runs
+// the full plan that its preview shows.
+//
+// Bookmarks (chrome.storage.local) and friends (chrome.storage.sync) are the
+// panel's settings; we read them from storage and follow their changes.
+
+const DAY_MS     = 86_400_000;
+// Most rows one write's prune may look at, so a store full of protected
+// messages can't turn every write into a full scan
+const PRUNE_SCAN = 5_000;
+
+const DEFAULT_RETENTION = {
+  maxCount:       MAX_MESSAGES,
+  maxAgeDays:     0,     // 0 = keep forever
+  maxPerRoom:     0,     // 0 = no per-room limit
+  maxPerServer:   0,     // 0 = no per-server limit
+  keepBookmarked: true,
+  keepFriends:    true,
+};
+
+let retention      = { ...DEFAULT_RETENTION };
+let bookmarkIds    = new Set(); // message ids
+let friendKeys     = new Set(); // "<server>#<penguin id>", or a plain name from older builds
+let ignoredKeys    = new Set(); // same shape as friendKeys
+let retentionReady = null;
+
+function loadRetention() {
+  if (!retentionReady) {
+    retentionReady = Promise.all([
+      chrome.storage.local.get(['retention', 'bookmarks']),
+      chrome.storage.sync.get(['friends', 'ignored']),
+    ]).then(([local, sync]) => {
+      retention   = { ...DEFAULT_RETENTION, ...(local.retention || {}) };
+      bookmarkIds = new Set((local.bookmarks || []).map(Number));
+      friendKeys  = new Set(sync.friends || []);
+      ignoredKeys = new Set(sync.ignored || []);
+    }, (err) => {
+      console.warn('[CP Chat Log] Could not load retention settings:', err);
+    });
+    // Panels used to report these per server; the store has them now
+    chrome.storage.local.remove('retentionProtected');
+  }
+  return retentionReady;
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.bookmarks) bookmarkIds = new Set((changes.bookmarks.newValue || []).map(Number));
+  if (area === 'sync' && changes.friends)    friendKeys  = new Set(changes.friends.newValue || []);
+  if (area === 'sync' && changes.ignored)    ignoredKeys = new Set(changes.ignored.newValue || []);
+});
+
+function isIgnoredRecord(r) {
+  return ignoredKeys.has(`${r.server}#${r.playerId}`) || ignoredKeys.has(r.username);
+}
+
+/** Predicate for messages the policy must never delete. */
+function protectedTest(policy) {
+  const ids  = policy.keepBookmarked ? bookmarkIds : new Set();
+  const keys = policy.keepFriends ? friendKeys : new Set();
+  return (r) => ids.has(r.id)
+    || (keys.size > 0 && (keys.has(`${r.server}#${r.playerId}`) || keys.has(r.username)));
+}
+
+/** Incremental prune inside a write transaction that just added `records`. */
+function pruneMessages(store, records) {
+  const policy = retention;
+  const keep   = protectedTest(policy);
+  let budget   = PRUNE_CHUNK;
+
+  const name = store.name;
+  store.transaction.addEventListener('abort', () => rowCounts.delete(name));
+  if (rowCounts.has(name)) rowCounts.set(name, rowCounts.get(name) + records.length);
+
+  // Walk `range` oldest first, deleting unprotected rows until `excess` are gone
+  const deleteOldest = (index, range, excess, done) => {
+    let scanned = 0;
+    index.openCursor(range).onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor || excess <= 0 || budget <= 0 || scanned++ >= PRUNE_SCAN) return done();
+      if (!keep(cursor.value)) {
+        cursor.delete();
+        excess--;
+        budget--;
+        if (rowCounts.has(name)) rowCounts.set(name, rowCounts.get(name) - 1);
+      }
+      cursor.continue();
+    };
+  };
+  const overLimit = (countReq, limit, index, range) => (done) => {
+    countReq.onsuccess = (e) => {
+      const excess = e.target.result - limit;
+      if (excess > 0) deleteOldest(index, range, excess, done); else done();
+    };
+  };
+
+  const steps = [];
+  if (policy.maxAgeDays > 0) {
+    const cutoff = Date.now() - policy.maxAgeDays * DAY_MS;
+    steps.push(done => deleteOldest(store.index('timestamp'), IDBKeyRange.upperBound(cutoff, true), Infinity, done));
+  }
+  if (policy.maxPerRoom > 0) {
+    const rooms = new Map(records.map(r => [`${r.server}|${r.room}`, [r.server, r.room]]));
+    for (const [server, room] of rooms.values()) {
+      steps.push(overLimit(store.index('server_room').count(IDBKeyRange.only([server, room])), policy.maxPerRoom,
+        store.index('server_room_timestamp'), IDBKeyRange.bound([server, room], [server, room, Infinity])));
+    }
+  }
+  if (policy.maxPerServer > 0) {
+    for (const server of new Set(records.map(r => r.server))) {
+      steps.push(overLimit(store.index('server').count(IDBKeyRange.only(server)), policy.maxPerServer,
+        store.index('server_timestamp'), IDBKeyRange.bound([server], [server, Infinity])));
+    }
+  }
+  if (policy.maxCount > 0) {
+    steps.push((done) => {
+      const prune = (count) => {
+        rowCounts.set(name, count);
+        if (count > policy.maxCount) deleteOldest(store.index('timestamp'), null, count - policy.maxCount, done);
+        else done();
+      };
+      if (rowCounts.has(name)) prune(rowCounts.get(name));
+      else store.count().onsuccess = (e) => prune(e.target.result);
+    });
+  }
+
+  const run = (i) => { if (i < steps.length && budget > 0) steps[i](() => run(i + 1)); };
+  run(0);
+}
+
+/**
+ * Everything the policy would delete right now, oldest first. Reads only the
+ * fields it needs, one cursor pass over the timestamp index.
+ */
+async function retentionPlan(policy = retention) {
+  await loadRetention();
+  policy = { ...DEFAULT_RETENTION, ...policy };
+  const keep = protectedTest(policy);
+
+  const db   = await openDB();
+  const tx   = db.transaction(STORE_NAME, 'readonly');
+  const rows = [];
+  tx.objectStore(STORE_NAME).index('timestamp').openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    const r = cursor.value;
+    rows.push({ id: r.id, timestamp: r.timestamp, server: r.server, room: r.room, keep: keep(r) });
+    cursor.continue();
+  };
+  await txDone(tx);
+
+  const remove = new Set();
+  if (policy.maxAgeDays > 0) {
+    const cutoff = Date.now() - policy.maxAgeDays * DAY_MS;
+    for (const r of rows) if (r.timestamp < cutoff && !r.keep) remove.add(r.id);
+  }
+  // Oldest unprotected rows first, until the group is back under its limit
+  const trim = (group, limit) => {
+    let count = group.filter(r => !remove.has(r.id)).length;
+    for (const r of group) {
+      if (count <= limit) break;
+      if (r.keep || remove.has(r.id)) continue;
+      remove.add(r.id);
+      count--;
+    }
+  };
+  const groupBy = (keyOf) => {
+    const groups = new Map();
+    for (const r of rows) {
+      const key = keyOf(r);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(r);
+    }
+    return groups.values();
+  };
+  if (policy.maxPerRoom > 0)   for (const g of groupBy(r => `${r.server}|${r.room}`)) trim(g, policy.maxPerRoom);
+  if (policy.maxPerServer > 0) for (const g of groupBy(r => r.server)) trim(g, policy.maxPerServer);
+  if (policy.maxCount > 0)     trim(rows, policy.maxCount);
+
+  return { rows: rows.filter(r => remove.has(r.id)), total: rows.length, protected: rows.filter(r => r.keep).length };
+}
+
+/** Summary of the plan for the panel's preview. */
+async function retentionPreview(policy) {
+  const plan  = await retentionPlan(policy);
+  const rooms = new Map();
+  for (const r of plan.rows) {
+    const key = `${r.room} @ ${r.server}`;
+    rooms.set(key, (rooms.get(key) || 0) + 1);
+  }
+  return {
+    total:     plan.total,
+    protected: plan.protected,
+    remove:    plan.rows.length,
+    oldest:    plan.rows.length ? plan.rows[0].timestamp : null,
+    newest:    plan.rows.length ? plan.rows[plan.rows.length - 1].timestamp : null,
+    rooms:     [...rooms].sort((a, b) => b[1] - a[1]).slice(0, 5),
+  };
+}
+
+/** Run the full plan now; resolves with the number of messages deleted. */
+async function retentionApply(policy) {
+  const plan = await retentionPlan(policy);
+  const ids  = plan.rows.map(r => r.id);
+  const db   = await openDB();
+  for (let i = 0; i < ids.length; i += PRUNE_CHUNK) {
+    const tx    = db.transaction(STORE_NAME, 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+    ids.slice(i, i + PRUNE_CHUNK).forEach(id => store.delete(id));
+    await txDone(tx);
+  }
+  rowCounts.delete(STORE_NAME);
+  return ids.length;
+}
+
+async function retentionSet(policy) {
+  await loadRetention();
+  retention = { ...DEFAULT_RETENTION, ...policy };
+  await chrome.storage.local.set({ retention });
+  return retention;
+}
+
+/** Policy plus how much of the extension's storage quota is in use. */
+async function retentionGet() {
+  await loadRetention();
+  let storage = null;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    storage = { usage, quota };
+  } catch (_) {}
+  return { policy: retention, defaults: DEFAULT_RETENTION, storage };
+}
+
+// ─── Additional servers ─────────────────────────────────────────────────────
+// Built-in profiles (shared/servers.js) are wired up by manifest.json. Any
+// other Yukon server the user adds in the popup is an optional host
+// permission plus an entry in sync storage (extraServers: match patterns);
+// we register the page scripts for each pattern that has been granted.
+// Developer mode (devServer: { enabled, origin }) adds one more: a local
+// Yukon server such as http://localhost:8080, kept apart from the list so it
+// can be switched off without losing it.
+
+const EXTRA_SCRIPT_IDS = ['cpcl-extra-hook', 'cpcl-extra-panel'];
+let serverScripts = Promise.resolve();
+
+async function registerServerScripts() {
+  const { extraServers = [], devServer } = await chrome.storage.sync.get(['extraServers', 'devServer']);
+  const patterns = [...extraServers];
+  if (devServer && devServer.enabled) {
+    const dev = __cpChatLog_servers.originPattern(devServer.origin, 'http');
+    if (dev && !patterns.includes(dev)) patterns.push(dev);
+  }
+  const granted = [];
+  for (const pattern of patterns) {
+    // The manifest already covers the built-in servers
+    if (__cpChatLog_servers.builtinFor(pattern.replace(/\*$/, ''))) continue;
+    if (await chrome.permissions.contains({ origins: [pattern] })) granted.push(pattern);
+  }
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: EXTRA_SCRIPT_IDS });
+  if (registered.length) await chrome.scripting.unregisterContentScripts({ ids: registered.map(s => s.id) });
+  if (!granted.length) return;
+  await chrome.scripting.registerContentScripts([
+    {
+      id:      EXTRA_SCRIPT_IDS[0],
+      matches: granted,
+      js:      ['shared/servers.js', 'injected/hook.js'],
+      runAt:   'document_start',
+      world:   'MAIN',
+    },
+    {
+      id:      EXTRA_SCRIPT_IDS[1],
+      matches: granted,
+      js:      ['shared/servers.js', 'shared/query.js', 'content/panel.js'],
+      css:     ['content/panel.css'],
+      runAt:   'document_idle',
+    },
+  ]);
+}
+
+/** Re-register after any change; runs one at a time so ids never clash. */
+function syncServerScripts() {
+  serverScripts = serverScripts.then(registerServerScripts).catch((err) => {
+    console.warn('[CP Chat Log] Could not register additional servers:', err);
+  });
+  return serverScripts;
+}
+
+chrome.runtime.onInstalled.addListener(syncServerScripts);
+chrome.permissions.onAdded.addListener(syncServerScripts);
+chrome.permissions.onRemoved.addListener(syncServerScripts);
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && (changes.extraServers || changes.devServer)) syncServerScripts();
+});
+
+// ─── Notifications ──────────────────────────────────────────────────────────
+// Content scripts can't show desktop notifications, so the panel asks here.
+// The tab, window and message id ride along in the notification id itself:
+// the worker may well have been stopped and restarted by the time it's clicked.
+
+const NOTIFY_PREFIX = 'cpcl';
+
+function notifyShow({ title, message, context, id }, sender) {
+  const tab = sender && sender.tab;
+  const target = tab ? [tab.id, tab.windowId, id != null ? id : ''].join('|') : '';
+  return new Promise((resolve) => {
+    chrome.notifications.create(`${NOTIFY_PREFIX}|${Date.now()}|${target}`, {
+      type:           'basic',
+      iconUrl:        chrome.runtime.getURL('icons/icon128.png'),
+      title:          String(title || 'CP Chat Log'),
+      message:        String(message || '').slice(0, 200),
+      contextMessage: context ? String(context) : undefined,
+    }, (notificationId) => resolve(notificationId || null));
+  });
+}
+
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  const [prefix, , tabId, windowId, id] = notificationId.split('|');
+  if (prefix !== NOTIFY_PREFIX) return;
+  chrome.notifications.clear(notificationId);
+  if (!tabId) return;
+  try {
+    await chrome.windows.update(Number(windowId), { focused: true });
+    await chrome.tabs.update(Number(tabId), { active: true });
+    await chrome.tabs.sendMessage(Number(tabId), { type: 'panel:reveal', id: id ? Number(id) : null });
+  } catch (err) {
+    // The game tab was closed or reloaded since
+    console.debug('[CP Chat Log] Notification target gone:', err);
+  }
+});
+
+// ─── Message router ─────────────────────────────────────────────────────────
+
+const handlers = {
+  'db:put':     (msg) => dbPut(msg.record),
+  'db:import':  (msg) => dbImport(msg.records || []),
+  'db:query':   (msg) => dbQuery(msg),
+  'db:stats':   (msg) => dbStats(msg),
+  'db:context': (msg) => dbContext(msg),
+  'db:rooms':   (msg) => dbGetRooms(msg.server),
+  'db:servers': ()    => dbGetServers(),
+  'db:clear':   ()    => dbClear(),
+
+  'db:backfill':     (msg) => dbBackfillPlaceholders(msg),
+  'db:placeholders': (msg) => dbPlaceholders(msg),
+
+  'players:list':  (msg) => playersList(msg),
+  'players:named': (msg) => playersNamedList(msg),
+
+  'igloos:resolve': (msg) => iglooResolve(msg),
+
+  'sessions:update': (msg) => sessionsUpdate(msg.patch),
+  'sessions:list':   (msg) => sessionsList(msg),
+
+  'presence:add':    (msg) => presenceAdd(msg.entries || []),
+  'presence:list':   (msg) => presenceList(msg),
+  'presence:roster': (msg) => presenceRoster(msg),
+
+  'retention:get':     ()    => retentionGet(),
+  'retention:set':     (msg) => retentionSet(msg.policy || {}),
+  'retention:preview': (msg) => retentionPreview(msg.policy),
+  'retention:apply':   (msg) => retentionApply(msg.policy),
+
+  'notify:show': (msg, sender) => notifyShow(msg, sender),
+};
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  const handler = msg && handlers[msg.type];
+  if (!handler) return false;
+
+  Promise.resolve()
+    .then(() => handler(msg, sender))
+    .then(
+      (result) => sendResponse({ ok: true, result }),
+      (err) => {
+        console.error(`[CP Chat Log] ${msg.type} failed:`, err);
+        sendResponse({ ok: false, error: String(err && err.message || err) });
+      },
+    );
+  return true; // keep the channel open for the async reply
+});
+
+console.debug('[CP Chat Log] Background service worker ready');
@@ -2,9 +2,10 @@
  * panel.js — runs in ISOLATED world at document_idle.
  *
  * Responsibilities:
- *   1. Open / manage the IndexedDB database for chat messages.
- *   2. Listen for BRIDGE_EVENT custom events dispatched by hook.js (page context)
- *      and persist them.
+ *   1. Listen for BRIDGE_EVENT custom events dispatched by hook.js (page context)
+ *      and forward them, in batches, to the background service worker, which
+ *      owns the DB.
+ *   2. Migrate any chat history left in the old page-origin IndexedDB.
  *   3. Inject and control the floating chat-history UI panel.
  */
 
@@ -14,110 +15,243 @@
   const BRIDGE_EVENT  = '__cpChatLog_message__';
   const PLAYER_EVENT  = '__cpChatLog_playerEvent__';
   const SERVER_EVENT  = '__cpChatLog_serverEvent__';
-  const DB_NAME       = 'CPChatLog';
-  const DB_VERSION    = 1;
+  const SESSION_EVENT = '__cpChatLog_sessionEvent__';
+  const SETTINGS_EVENT = '__cpChatLog_settings__';
+  const LEGACY_DB_NAME = 'CPChatLog';
   const STORE_NAME    = 'messages';
-  const MAX_MESSAGES  = 10_000;
-  const SESSION_ID    = Date.now().toString(36); // unique per page load
-
-  // ─── IndexedDB ────────────────────────────────────────────────────────────
+  const SESSION_START = Date.now();
+  const SESSION_ID    = SESSION_START.toString(36); // unique per page load
+  // Same partition key hook.js stamps on records (shared/servers.js picks the
+  // profile for both); used for records that predate server tagging and to
+  // mark messages from other servers.
+  const PAGE_SERVER   = window.__cpChatLog_servers.profileFor(location.href).id;
+
+  // ─── Background store ─────────────────────────────────────────────────────
+  // The database lives in the background service worker (extension origin) so
+  // the popup and every supported server share one store. These wrappers keep
+  // the old dbX() call shapes and resolve to an empty value on failure.
+
+  function sendToBackground(type, payload = {}) {
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage({ type, ...payload }, (response) => {
+          if (chrome.runtime.lastError || !response || !response.ok) {
+            console.warn(`[CP Chat Log] ${type} failed:`,
+              chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+            return resolve(null);
+          }
+          resolve(response.result);
+        });
+      } catch (err) {
+        // Extension was reloaded underneath this page — context is gone
+        console.warn('[CP Chat Log] Background unavailable:', err);
+        resolve(null);
+      }
+    });
+  }
 
-  let db = null;
+  // ─── Write queue ───────────────────────────────────────────────────────────
+  // Busy rooms (Town, the Dance Club) produce bursts of messages. Instead of
+  // one readwrite transaction per line, records are queued here and written
+  // in batches through db:import, one transaction per batch.
 
-  function openDB() {
-    return new Promise((resolve, reject) => {
-      const req = indexedDB.open(DB_NAME, DB_VERSION);
+  const QUEUE_FLUSH_MS = 250;   // how long a record may wait for company
+  const QUEUE_BATCH    = 200;   // flush immediately once this many are waiting
+  const QUEUE_MAX      = 5000;  // beyond this the oldest waiting records are dropped
+  const QUEUE_RETRY_MS = 2000;
 
-      req.onupgradeneeded = (e) => {
-        const idb = e.target.result;
-        if (!idb.objectStoreNames.contains(STORE_NAME)) {
-          const store = idb.createObjectStore(STORE_NAME, {
-            keyPath:       'id',
-            autoIncrement: true,
-          });
-          store.createIndex('timestamp', 'timestamp', { unique: false });
-          store.createIndex('username',  'username',  { unique: false });
-          store.createIndex('room',      'room',      { unique: false });
-          store.createIndex('session',   'session',   { unique: false });
-        }
-      };
+  const writeQueue  = [];       // { record, resolve }
+  let queueTimer    = null;
+  let queueWriting  = false;
+  let droppedRecords = 0;
 
-      req.onsuccess = (e) => resolve(e.target.result);
-      req.onerror   = (e) => reject(e.target.error);
+  /** Queue a record for storage; resolves with its id, or null if it was dropped. */
+  function dbPut(record) {
+    return new Promise((resolve) => {
+      writeQueue.push({ record, resolve });
+      trimQueue();
+      scheduleFlush(writeQueue.length >= QUEUE_BATCH ? 0 : QUEUE_FLUSH_MS);
+      updateQueueStatus();
     });
   }
 
-  function dbPut(record) {
-    if (!db) return;
-    const tx    = db.transaction(STORE_NAME, 'readwrite');
-    const store = tx.objectStore(STORE_NAME);
-    store.add(record);
-
-    // Prune oldest messages when we exceed the cap
-    store.count().onsuccess = (e) => {
-      const count = e.target.result;
-      if (count > MAX_MESSAGES) {
-        const excess = count - MAX_MESSAGES;
-        const idx    = store.index('timestamp');
-        idx.openCursor().onsuccess = (ce) => {
-          const cursor = ce.target.result;
-          if (!cursor || excess <= 0) return;
-          cursor.delete();
-          cursor.continue();
-        };
-      }
-    };
+  function trimQueue() {
+    if (writeQueue.length <= QUEUE_MAX) return;
+    const dropped = writeQueue.splice(0, writeQueue.length - QUEUE_MAX);
+    dropped.forEach(entry => entry.resolve(null));
+    droppedRecords += dropped.length;
   }
 
-  function dbGetAll(filter = {}) {
-    return new Promise((resolve) => {
-      if (!db) return resolve([]);
-      const tx    = db.transaction(STORE_NAME, 'readonly');
-      const store = tx.objectStore(STORE_NAME);
-      const req   = store.getAll();
-      req.onsuccess = (e) => {
-        let results = e.target.result;
-        if (filter.search) {
-          const q = filter.search.toLowerCase();
-          results = results.filter(r =>
-            r.message.toLowerCase().includes(q) ||
-            r.username.toLowerCase().includes(q)
-          );
-        }
-        if (filter.room) {
-          results = results.filter(r => r.room === filter.room);
-        }
-        if (filter.session) {
-          results = results.filter(r => r.session === filter.session);
-        }
-        resolve(results);
-      };
-      req.onerror = () => resolve([]);
+  function scheduleFlush(delay) {
+    if (queueTimer !== null) {
+      if (delay > 0) return; // a flush is already coming
+      clearTimeout(queueTimer);
+    }
+    queueTimer = setTimeout(flushQueue, delay);
+  }
+
+  async function flushQueue() {
+    queueTimer = null;
+    if (queueWriting || writeQueue.length === 0) return;
+
+    queueWriting = true;
+    const batch = writeQueue.splice(0, QUEUE_BATCH);
+    const ids   = await sendToBackground('db:import', { records: batch.map(entry => entry.record) });
+    queueWriting = false;
+
+    if (ids) {
+      batch.forEach((entry, i) => entry.resolve(ids[i]));
+    } else if (!chrome.runtime.id) {
+      // Extension reloaded underneath the page — nothing will ever accept these
+      batch.forEach(entry => entry.resolve(null));
+      droppedRecords += batch.length;
+    } else {
+      // Worker busy or restarting: put the batch back and try again shortly
+      writeQueue.unshift(...batch);
+      trimQueue();
+      updateQueueStatus();
+      scheduleFlush(QUEUE_RETRY_MS);
+      return;
+    }
+
+    updateQueueStatus();
+    if (writeQueue.length) scheduleFlush(0);
+  }
+
+  /** pagehide: hand everything still waiting to the worker in one go. */
+  function flushQueueOnExit() {
+    if (queueTimer !== null) clearTimeout(queueTimer);
+    queueTimer = null;
+    if (writeQueue.length === 0) return;
+    const batch = writeQueue.splice(0);
+    sendToBackground('db:import', { records: batch.map(entry => entry.record) }).then((ids) => {
+      batch.forEach((entry, i) => entry.resolve(ids ? ids[i] : null));
     });
+    updateQueueStatus();
+  }
+
+  function updateQueueStatus() {
+    const el = document.getElementById('cpcl-queue');
+    if (!el) return;
+    const parts = [];
+    if (writeQueue.length) parts.push(`${writeQueue.length.toLocaleString()} queued`);
+    if (droppedRecords)    parts.push(`${droppedRecords.toLocaleString()} dropped`);
+    el.textContent = parts.length ? '\u00B7 ' + parts.join(', ') : '';
+    el.classList.toggle('cpcl-queue-dropped', droppedRecords > 0);
+  }
+
+  const EMPTY_PAGE = { records: [], cursor: null, done: true };
+
+  /** One page of matching messages (oldest first); pass the returned cursor back for the next. */
+  async function dbQuery(filter = {}, paging = {}) {
+    return (await sendToBackground('db:query', { filter, ...paging })) || EMPTY_PAGE;
+  }
+
+  /** Every matching message, oldest first, fetched a page at a time. */
+  async function dbQueryAll(filter = {}) {
+    const all = [];
+    let cursor = null;
+    for (;;) {
+      const page = await dbQuery(filter, { direction: 'next', cursor, limit: 2000 });
+      all.push(...page.records);
+      if (page.done) return all;
+      cursor = page.cursor;
+    }
+  }
+
+  function dbGetStats(server) {
+    return sendToBackground('db:stats', { server });
   }
 
   function dbClear() {
-    return new Promise((resolve) => {
-      if (!db) return resolve();
-      const tx    = db.transaction(STORE_NAME, 'readwrite');
-      const store = tx.objectStore(STORE_NAME);
-      store.clear().onsuccess = resolve;
-    });
+    return sendToBackground('db:clear');
   }
 
-  function dbGetRooms() {
-    return new Promise((resolve) => {
-      if (!db) return resolve([]);
-      const tx    = db.transaction(STORE_NAME, 'readonly');
-      const store = tx.objectStore(STORE_NAME);
-      const idx   = store.index('room');
-      const rooms = new Set();
-      idx.openCursor().onsuccess = (e) => {
-        const cursor = e.target.result;
-        if (cursor) { rooms.add(cursor.key); cursor.continue(); }
-        else resolve([...rooms].sort());
-      };
+  async function dbGetRooms(server) {
+    return (await sendToBackground('db:rooms', { server })) || [];
+  }
+
+  async function dbGetServers() {
+    return (await sendToBackground('db:servers')) || [];
+  }
+
+  function dbAddPresence(entries) {
+    return sendToBackground('presence:add', { entries });
+  }
+
+  async function dbGetPresence(filter = {}) {
+    return (await sendToBackground('presence:list', filter)) || [];
+  }
+
+  function dbGetRoster(query) {
+    return sendToBackground('presence:roster', query);
+  }
+
+  function dbGetContext(id, before, after) {
+    return sendToBackground('db:context', { id, before, after });
+  }
+
+  async function dbGetPlayers(filter = {}) {
+    return (await sendToBackground('players:list', filter)) || [];
+  }
+
+  function dbUpdateSession(patch) {
+    return sendToBackground('sessions:update', { patch: { id: SESSION_ID, ...patch } });
+  }
+
+  async function dbGetSessions(filter = {}) {
+    return (await sendToBackground('sessions:list', filter)) || [];
+  }
+
+  // ── One-time migration of the old page-origin database ──
+  // Earlier builds kept history in an IndexedDB owned by the game page's
+  // origin. Copy it into the background store, remap bookmark ids to the new
+  // keys, then delete the page-origin copy so this only ever runs once.
+
+  const MIGRATE_BATCH = 500;
+
+  async function migrateLegacyStore() {
+    if (typeof indexedDB.databases === 'function') {
+      const dbs = await indexedDB.databases();
+      if (!dbs.some(d => d.name === LEGACY_DB_NAME)) return;
+    }
+
+    const legacy = await new Promise((resolve) => {
+      const req = indexedDB.open(LEGACY_DB_NAME);
+      req.onsuccess = (e) => resolve(e.target.result);
+      req.onerror   = () => resolve(null);
     });
+    if (!legacy) return;
+
+    let records = [];
+    if (legacy.objectStoreNames.contains(STORE_NAME)) {
+      records = await new Promise((resolve) => {
+        const req = legacy.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll();
+        req.onsuccess = (e) => resolve(e.target.result);
+        req.onerror   = () => resolve([]);
+      });
+    }
+    legacy.close();
+
+    const idMap = new Map();
+    for (let i = 0; i < records.length; i += MIGRATE_BATCH) {
+      const batch = records.slice(i, i + MIGRATE_BATCH);
+      const ids   = await sendToBackground('db:import', {
+        records: batch.map(({ id, ...rest }) => ({ ...rest, server: rest.server || PAGE_SERVER })),
+      });
+      // Background unreachable — leave the legacy DB alone and retry next load
+      if (!ids) return;
+      batch.forEach((r, j) => { if (ids[j] != null) idMap.set(String(r.id), String(ids[j])); });
+    }
+
+    // Bookmarks are shared with the other server now; only this page's old ids move
+    const remapped = [...bookmarks].map(id => idMap.get(id) || id);
+    bookmarks.clear();
+    remapped.forEach(id => bookmarks.add(id));
+    saveBookmarks();
+
+    indexedDB.deleteDatabase(LEGACY_DB_NAME);
+    console.debug(`[CP Chat Log] Migrated ${records.length} messages to the shared store`);
   }
 
   // ─── Deduplication ────────────────────────────────────────────────────────
@@ -149,85 +283,285 @@
       timestamp:  detail.timestamp,
       username:   detail.username,
       message:    detail.message,
-      room:       detail.room,
+      room:       iglooRoom(detail.room),
       eventName:  detail.eventName,
       direction:  detail.direction,
       session:    SESSION_ID,
+      server:     detail.server || PAGE_SERVER,
       playerId:   detail.playerId || null,
       isIgnored:  detail.isIgnored || false,
       isFriend:   detail.isFriend || false,
     };
+    if (detail.mentions) record.mentions = detail.mentions;
+    upgradeLegacyIdentity(record);
+    noteIglooOwner(record.playerId, record.username);
+    // Ignored and muted players can't set off alerts or notifications
+    const key = identityKey(record);
+    const silenced = isIgnoredIdentity(key, record.username) || isMutedIdentity(key);
+    // Stored, so is:alert and saved searches can find it later
+    const alerts = silenced ? [] : matchAlertRules(record);
+    if (alerts.length) {
+      record.alert = true;
+      record.alertColor = (alerts.find(r => r.color) || { color: 'none' }).color;
+    }
 
-    dbPut(record);
-    appendToPanel(record);
+    // Wait for the stored id so bookmarks work on live messages too
+    dbPut(record).then((id) => {
+      if (id != null) record.id = id;
+      const notified = alerts.length && fireAlertActions(record, alerts);
+      if (!notified && !silenced) notifyMention(record);
+      // Ignored and muted players don't add to saved-search unread counts
+      if (!silenced) countPresetUnread(record);
+      appendToPanel(record);
+    });
   }
 
   // ─── UI Panel ─────────────────────────────────────────────────────────────
 
-  let panel, messageList, searchInput, roomFilter, badge, toggleBtn;
+  let panel, messageList, searchInput, roomFilter, serverFilter, badge, toggleBtn;
   let panelVisible = false;
+  let viewedSession = null; // past session opened from the Sessions tab
   let allRooms = new Set();
   let activeTab = 'chat';
 
   // ── Regex search mode ──
   let regexMode = false;
 
-  // ── Keyword alerts ──
-  let alertKeywords = [];
-  try {
-    const stored = localStorage.getItem('__cpChatLog_alertKeywords__');
-    if (stored) alertKeywords = JSON.parse(stored);
-  } catch (_) {}
-
-  // ── Ignore list ──
-  const localIgnored = new Set();
-  if (!window.__cpChatLog_ignored) window.__cpChatLog_ignored = new Set();
-  if (!window.__cpChatLog_saveIgnored) {
-    window.__cpChatLog_saveIgnored = () => {
-      localStorage.setItem('__cpChatLog_ignored__',
-        JSON.stringify([...window.__cpChatLog_ignored]));
-    };
+  // ── Presence lines (joins/leaves shown inline in the chat log) ──
+  let showPresence = true; // a synced setting, like showThreads
+
+  // ─── Settings store ───────────────────────────────────────────────────────
+  // Friends, ignored players, alert rules, saved searches, notification
+  // preferences and view toggles live in chrome.storage.sync, so they follow
+  // us across both servers and across machines. Bookmarks are ids of rows in
+  // this browser's message store, so they stay in chrome.storage.local, as
+  // does the cache of each server's client tables. hook.js runs in the
+  // page's world with no chrome.storage; it gets friends, ignored and this
+  // server's tables and name overrides over SETTINGS_EVENT on load and on
+  // every change, from this tab or any other.
+
+  const SYNC_SETTINGS  = ['friends', 'ignored', 'mutes', 'ignoreMode', 'identityNames', 'alertRules', 'quietHours', 'notifyPrefs', 'tableOverrides',
+    'presets', 'showPresence', 'showThreads'];
+  const LOCAL_SETTINGS = ['bookmarks', 'clientTables'];
+  const HOOK_SETTINGS  = ['friends', 'ignored', 'clientTables', 'tableOverrides'];
+  // Page localStorage keys used before the store; folded in once per server
+  const LEGACY_SETTINGS = {
+    friends:       '__cpChatLog_friends__',
+    ignored:       '__cpChatLog_ignored__',
+    bookmarks:     '__cpChatLog_bookmarks__',
+    identityNames: '__cpChatLog_identityNames__',
+    alertRules:    '__cpChatLog_alertRules__',
+    quietHours:    '__cpChatLog_quietHours__',
+    notifyPrefs:   '__cpChatLog_notifyPrefs__',
+    showPresence:  '__cpChatLog_showPresence__',
+    showThreads:   '__cpChatLog_showThreads__',
+  };
+
+  // Friend/ignore entries are keyed "<server>#<penguin id>" so they survive
+  // renames and name collisions. Entries saved by older builds are plain
+  // names and still match by name. identityNames keeps a label per key.
+  const friends       = new Set();
+  const ignored       = new Set();
+  const bookmarks     = new Set(); // message ids, as strings
+  const identityNames = new Map();
+  let mutes           = {};        // identity key -> muted until (ms)
+  let ignoreMode      = 'hide';    // or 'dim'
+  let clientTables    = {};        // server -> { safe, emotes, jokes, phrases, updatedAt }, as hook.js found them
+  let tableOverrides  = {};        // server -> { safe, emotes, jokes, phrases }, typed in the Names editor
+  let settingsReady   = null;
+
+  function settingValue(key) {
+    switch (key) {
+      case 'friends':       return [...friends];
+      case 'ignored':       return [...ignored];
+      case 'bookmarks':     return [...bookmarks];
+      case 'identityNames': return Object.fromEntries(identityNames);
+      case 'mutes':         return mutes;
+      case 'ignoreMode':    return ignoreMode;
+      case 'alertRules':    return alertRules;
+      case 'quietHours':    return quietHours;
+      case 'notifyPrefs':   return notifyPrefs;
+      case 'clientTables':   return clientTables;
+      case 'tableOverrides': return tableOverrides;
+      case 'presets':      return presets;
+      case 'showPresence': return showPresence;
+      case 'showThreads':  return showThreads;
+    }
+    return undefined;
   }
-  try {
-    const storedIgnored = localStorage.getItem('__cpChatLog_ignored__');
-    if (storedIgnored) {
-      for (const u of JSON.parse(storedIgnored)) {
-        window.__cpChatLog_ignored.add(u);
-        localIgnored.add(u);
-      }
+
+  function applySetting(key, value) {
+    if (value == null) return;
+    const refill = (set, list) => { set.clear(); list.forEach(v => set.add(String(v))); };
+    switch (key) {
+      case 'friends':   refill(friends, value); break;
+      case 'ignored':   refill(ignored, value); break;
+      case 'bookmarks': refill(bookmarks, value); break;
+      case 'identityNames':
+        identityNames.clear();
+        for (const [k, name] of Object.entries(value)) identityNames.set(k, name);
+        break;
+      case 'mutes':       mutes       = value; break;
+      case 'ignoreMode':  ignoreMode  = value === 'dim' ? 'dim' : 'hide'; break;
+      case 'alertRules':  alertRules  = value; break;
+      case 'quietHours':  quietHours  = { ...quietHours, ...value }; break;
+      case 'notifyPrefs': notifyPrefs = { ...notifyPrefs, ...value }; break;
+      case 'clientTables':   clientTables   = value; break;
+      case 'tableOverrides': tableOverrides = value; break;
+      case 'presets':      presets      = value; break;
+      case 'showPresence': showPresence = value !== false; break;
+      case 'showThreads':  showThreads  = value !== false; break;
     }
-  } catch (_) {}
+  }
 
-  // ── Friends list ──
-  const localFriends = new Set();
-  if (!window.__cpChatLog_friends) window.__cpChatLog_friends = new Set();
-  if (!window.__cpChatLog_saveFriends) {
-    window.__cpChatLog_saveFriends = () => {
-      localStorage.setItem('__cpChatLog_friends__',
-        JSON.stringify([...window.__cpChatLog_friends]));
-    };
+  /** Write settings to their area; resolves to whether every write landed. */
+  function saveSettings(...keys) {
+    const areas = { sync: {}, local: {} };
+    for (const key of keys) areas[LOCAL_SETTINGS.includes(key) ? 'local' : 'sync'][key] = settingValue(key);
+    if (keys.some(k => HOOK_SETTINGS.includes(k))) sendHookSettings();
+    return Promise.all(Object.entries(areas)
+      .filter(([, values]) => Object.keys(values).length)
+      .map(async ([area, values]) => {
+        try {
+          await chrome.storage[area].set(values);
+          return true;
+        } catch (err) {
+          // Over the sync quota, or the extension was reloaded underneath the page
+          console.warn('[CP Chat Log] Could not save settings:', err);
+          return false;
+        }
+      }))
+      .then(results => results.every(Boolean));
+  }
+
+  function saveBookmarks() {
+    saveSettings('bookmarks');
   }
-  try {
-    const storedFriends = localStorage.getItem('__cpChatLog_friends__');
-    if (storedFriends) {
-      for (const u of JSON.parse(storedFriends)) {
-        window.__cpChatLog_friends.add(u);
-        localFriends.add(u);
+
+  function sendHookSettings() {
+    // A string, so the detail reads the same from the page's world
+    const detail = JSON.stringify({
+      friends:   [...friends],
+      ignored:   [...ignored],
+      tables:    clientTables[PAGE_SERVER] || {},
+      overrides: tableOverrides[PAGE_SERVER] || {},
+      iglooOwners: Object.fromEntries(iglooOwners),
+    });
+    window.dispatchEvent(new CustomEvent(SETTINGS_EVENT, { detail }));
+  }
+
+  /** Fold this server's localStorage copies into what the store holds. */
+  function mergeLegacySettings(stored) {
+    const read = (lsKey) => { try { return JSON.parse(localStorage.getItem(lsKey)); } catch (_) { return null; } };
+    const merged = {};
+    for (const [key, lsKey] of Object.entries(LEGACY_SETTINGS)) {
+      const legacy = read(lsKey);
+      if (legacy == null) continue;
+      const current = stored[key];
+      if (key === 'alertRules') {
+        const ids = new Set((current || []).map(r => r.id));
+        merged[key] = [...(current || []), ...legacy.filter(r => !ids.has(r.id))];
+      } else if (typeof legacy !== 'object') {
+        merged[key] = current ?? legacy;
+      } else if (Array.isArray(legacy)) {
+        merged[key] = [...new Set([...(current || []), ...legacy])];
+      } else {
+        merged[key] = { ...legacy, ...(current || {}) };
       }
     }
-  } catch (_) {}
+    // Older still: a plain keyword list, one highlight rule per keyword
+    const keywords = read('__cpChatLog_alertKeywords__');
+    if (Array.isArray(keywords) && keywords.length) {
+      merged.alertRules = [
+        ...(merged.alertRules || stored.alertRules || []),
+        ...keywords.map(kw => newAlertRule({ name: kw, text: kw })),
+      ];
+    }
+    return merged;
+  }
 
-  // ── Bookmarks ──
-  const bookmarks = new Set();
-  try {
-    const storedBookmarks = localStorage.getItem('__cpChatLog_bookmarks__');
-    if (storedBookmarks) {
-      for (const id of JSON.parse(storedBookmarks)) bookmarks.add(id);
+  async function loadSettings() {
+    let stored = {};
+    try {
+      chrome.storage.onChanged.addListener(handleSettingsChange);
+      const [sync, local] = await Promise.all([
+        chrome.storage.sync.get(SYNC_SETTINGS),
+        chrome.storage.local.get(LOCAL_SETTINGS),
+      ]);
+      stored = { ...sync, ...local };
+    } catch (err) {
+      console.warn('[CP Chat Log] Could not load settings:', err);
     }
-  } catch (_) {}
 
-  function saveBookmarks() {
-    localStorage.setItem('__cpChatLog_bookmarks__', JSON.stringify([...bookmarks]));
+    const merged = mergeLegacySettings(stored);
+    for (const key of [...SYNC_SETTINGS, ...LOCAL_SETTINGS]) applySetting(key, key in merged ? merged[key] : stored[key]);
+    // Keep the page's copies until the store has taken them
+    if (Object.keys(merged).length && await saveSettings(...Object.keys(merged))) {
+      Object.values(LEGACY_SETTINGS).forEach(k => localStorage.removeItem(k));
+      localStorage.removeItem('__cpChatLog_alertKeywords__');
+    }
+    sendHookSettings();
+  }
+
+  /** Another tab, server or machine changed a setting: catch the view up. */
+  function handleSettingsChange(changes, area) {
+    const keys = Object.keys(changes).filter(k => (area === 'local' ? LOCAL_SETTINGS : SYNC_SETTINGS).includes(k));
+    if (!keys.length) return;
+    const empty = { identityNames: {}, mutes: {}, ignoreMode: 'hide', clientTables: {}, tableOverrides: {}, showPresence: true, showThreads: true };
+    keys.forEach(k => applySetting(k, changes[k].newValue || (k in empty ? empty[k] : [])));
+    if (keys.some(k => HOOK_SETTINGS.includes(k))) sendHookSettings();
+    if (keys.includes('mutes')) scheduleMuteExpiry();
+    if (keys.some(k => ['friends', 'ignored', 'mutes', 'ignoreMode', 'bookmarks'].includes(k))) vlRefresh(item => item.kind === 'msg');
+    if (keys.includes('ignored') || keys.includes('mutes')) updateIgnoredCount();
+    if (keys.includes('friends') && activeTab === 'players') populatePlayers();
+    if (keys.includes('presets')) {
+      seedPresetUnread(presets.filter(p => !presetUnread.has(p.id)));
+      trackActivePreset();
+    }
+    if (keys.includes('showPresence') || keys.includes('showThreads')) syncViewToggles();
+  }
+
+  /** Match the view toggles to the stored settings, redrawing what they change. */
+  function syncViewToggles() {
+    const presenceToggle = document.getElementById('cpcl-presence-toggle');
+    const threadsToggle  = document.getElementById('cpcl-threads-toggle');
+    if (presenceToggle.checked !== showPresence) {
+      presenceToggle.checked = showPresence;
+      handleFilter();
+    }
+    if (threadsToggle.checked !== showThreads) {
+      threadsToggle.checked = showThreads;
+      threadItems(vlItems);
+      vlRefresh();
+    }
+  }
+
+  function rememberIdentity(key, name) {
+    if (!name || identityNames.get(key) === name) return;
+    identityNames.set(key, name);
+    saveSettings('identityNames');
+  }
+
+  function identityKey(record) {
+    return record.playerId != null
+      ? `${record.server || PAGE_SERVER}#${record.playerId}`
+      : record.username;
+  }
+
+  function isIgnoredIdentity(key, name) {
+    return ignored.has(key) || (!!name && ignored.has(name));
+  }
+
+  function isFriendIdentity(key, name) {
+    return friends.has(key) || (!!name && friends.has(name));
+  }
+
+  /** "Current (formerly X, Y)" for a record decorated by the background store. */
+  function displayName(r) {
+    const name = r.currentName || r.username;
+    return r.formerNames && r.formerNames.length
+      ? `${name} (formerly ${r.formerNames.join(', ')})`
+      : name;
   }
 
   function createPanel() {
@@ -248,8 +582,10 @@
       <div class="cpcl-header">
         <span class="cpcl-title">\u{1F4CB} Chat Log</span>
         <div class="cpcl-header-controls">
-          <button class="cpcl-btn cpcl-btn-sm" id="cpcl-keywords" title="Set alert keywords">\u{1F514} Alerts</button>
-          <button class="cpcl-btn cpcl-btn-sm" id="cpcl-ignored-btn" title="Show ignored players">\u{1F441} 0 ignored</button>
+          <button class="cpcl-btn cpcl-btn-sm" id="cpcl-keywords" title="Alert rules">\u{1F514} Alerts</button>
+          <button class="cpcl-btn cpcl-btn-sm" id="cpcl-ignored-btn" title="Ignored and muted players">\u{1F441} 0 ignored</button>
+          <button class="cpcl-btn cpcl-btn-sm" id="cpcl-names" title="Names for emote, joke and safe-chat ids">\u{1F3F7} Names</button>
+          <button class="cpcl-btn cpcl-btn-sm" id="cpcl-retention" title="Storage and retention">\u{1F5C4} Storage</button>
           <button class="cpcl-btn cpcl-btn-sm" id="cpcl-export" title="Export chat log">\u2B07 Export</button>
           <button class="cpcl-btn cpcl-btn-sm cpcl-btn-danger" id="cpcl-clear" title="Clear all history">\u{1F5D1} Clear</button>
           <button class="cpcl-btn cpcl-btn-sm" id="cpcl-close" title="Close">\u2715</button>
@@ -257,31 +593,69 @@
       </div>
 
       <div class="cpcl-filters">
-        <input  type="text"   id="cpcl-search"    class="cpcl-input" placeholder="\u{1F50D} Search messages\u2026">
+        <input  type="text"   id="cpcl-search"    class="cpcl-input" placeholder="\u{1F50D} Search messages\u2026"
+                title='Words match by prefix as you type. "quoted phrase" for exact order, word* for a prefix.&#10;Operators: from:name room:"Coffee Shop" server:cpjourney before:2026-10-01 after:2026-09-01&#10;type:emote|joke|safe|tour dir:in|out is:bookmarked|friend|alert. Prefix any term with - to exclude it.'
+                autocomplete="off" spellcheck="false">
         <button class="cpcl-btn cpcl-btn-sm cpcl-regex-toggle" id="cpcl-regex-toggle" title="Toggle regex search">.*</button>
+        <select id="cpcl-search-match" class="cpcl-input cpcl-select cpcl-search-opt" title="Match all words or any word">
+          <option value="all">All words</option>
+          <option value="any">Any word</option>
+        </select>
+        <select id="cpcl-search-sort" class="cpcl-input cpcl-select cpcl-search-opt" title="Order search results">
+          <option value="recent">Newest</option>
+          <option value="relevance">Best match</option>
+        </select>
+        <select id="cpcl-server-filter" class="cpcl-input cpcl-select">
+          <option value="">All servers</option>
+        </select>
         <select id="cpcl-room-filter" class="cpcl-input cpcl-select">
           <option value="">All rooms</option>
         </select>
         <label class="cpcl-session-label">
           <input type="checkbox" id="cpcl-session-only"> This session only
         </label>
+        <span class="cpcl-session-chip" id="cpcl-session-chip" style="display:none">
+          <span id="cpcl-session-chip-label"></span>
+          <button class="cpcl-session-chip-close" id="cpcl-session-chip-close" title="Back to all sessions">\u2715</button>
+        </span>
         <label class="cpcl-session-label">
           <input type="checkbox" id="cpcl-bookmarks-only"> Bookmarks only
         </label>
+        <label class="cpcl-session-label" title="Show players entering and leaving rooms">
+          <input type="checkbox" id="cpcl-presence-toggle"> Joins/leaves
+        </label>
+        <label class="cpcl-session-label" title="Group replies and mentions into collapsible threads">
+          <input type="checkbox" id="cpcl-threads-toggle"> Threads
+        </label>
       </div>
+      <div class="cpcl-presets" id="cpcl-presets"></div>
 
       <div class="cpcl-tabs">
         <button class="cpcl-tab cpcl-tab-active" data-tab="chat">\u{1F4AC} Chat</button>
         <button class="cpcl-tab" data-tab="stats">\u{1F4CA} Stats</button>
         <button class="cpcl-tab" data-tab="players">\u{1F465} Players</button>
+        <button class="cpcl-tab" data-tab="sessions">\u{1F4C5} Sessions</button>
         <button class="cpcl-tab" data-tab="server">\u{1F310} Server (WIP)</button>
       </div>
 
       <div class="cpcl-message-list" id="cpcl-messages">
-        <div class="cpcl-empty">No messages yet \u2014 chat in-game and they'll appear here!</div>
+        <div class="cpcl-vl-spacer" id="cpcl-vl-top"></div>
+        <div class="cpcl-vl-rows" id="cpcl-vl-rows">
+          <div class="cpcl-empty">No messages yet \u2014 chat in-game and they'll appear here!</div>
+        </div>
+        <div class="cpcl-vl-spacer" id="cpcl-vl-bottom"></div>
+        <button class="cpcl-jump-latest" id="cpcl-jump-latest" style="display:none">\u2193 Jump to latest</button>
+      </div>
+      <div class="cpcl-context-view" id="cpcl-context" style="display:none">
+        <div class="cpcl-context-bar">
+          <button class="cpcl-btn cpcl-btn-sm" id="cpcl-context-back" title="Back to the filtered list">\u2190 Back to results</button>
+          <span class="cpcl-context-title" id="cpcl-context-title"></span>
+        </div>
+        <div class="cpcl-context-list" id="cpcl-context-list"></div>
       </div>
       <div class="cpcl-stats-view" id="cpcl-stats" style="display:none"></div>
       <div class="cpcl-players-view" id="cpcl-players" style="display:none"></div>
+      <div class="cpcl-sessions-view" id="cpcl-sessions" style="display:none"></div>
       <div class="cpcl-server-view" id="cpcl-server" style="display:none"></div>
 
       <div class="cpcl-replay-bar" id="cpcl-replay-bar">
@@ -299,7 +673,7 @@
       </div>
 
       <div class="cpcl-footer">
-        <span id="cpcl-count">0 messages</span>
+        <span><span id="cpcl-count">0 messages</span> <span id="cpcl-queue" class="cpcl-queue-status" title="Messages waiting to be saved"></span></span>
         <span class="cpcl-session-id">Session: ${SESSION_ID}</span>
         <button class="cpcl-btn cpcl-btn-sm cpcl-replay-btn" id="cpcl-replay" title="Replay session">\u25B6 Replay</button>
       </div>
@@ -328,10 +702,19 @@
         </div>
 
         <label class="cpcl-export-label">Filter</label>
-        <select id="cpcl-export-room" class="cpcl-input cpcl-select">
+        <select id="cpcl-export-preset" class="cpcl-input cpcl-select" style="margin-bottom:6px">
+          <option value="">No saved search</option>
+        </select>
+        <select id="cpcl-export-server" class="cpcl-input cpcl-select">
+          <option value="">All servers</option>
+        </select>
+        <select id="cpcl-export-room" class="cpcl-input cpcl-select" style="margin-top:6px">
           <option value="">All rooms</option>
         </select>
         <input type="text" id="cpcl-export-player" class="cpcl-input" placeholder="Filter by player (optional)" style="margin-top:6px">
+        <input type="text" id="cpcl-export-query" class="cpcl-input" placeholder="Query, e.g. type:emote -from:name (optional)"
+               autocomplete="off" spellcheck="false" style="margin-top:6px">
+        <label class="cpcl-session-label" style="margin-top:6px"><input type="checkbox" id="cpcl-export-ignored"> Include ignored players</label>
 
         <div class="cpcl-export-actions">
           <button class="cpcl-btn cpcl-btn-sm" id="cpcl-export-cancel">Cancel</button>
@@ -347,9 +730,145 @@
     ctxMenu.innerHTML = `
       <div class="cpcl-ctx-item" data-action="ignore">Ignore this player</div>
       <div class="cpcl-ctx-item" data-action="unignore">Unignore this player</div>
+      <div class="cpcl-ctx-item" data-action="mute" data-minutes="10">Mute for 10 minutes</div>
+      <div class="cpcl-ctx-item" data-action="mute" data-minutes="60">Mute for 1 hour</div>
+      <div class="cpcl-ctx-item" data-action="mute" data-minutes="session">Mute until next session</div>
+      <div class="cpcl-ctx-item" data-action="unmute">Unmute</div>
       <div class="cpcl-ctx-item" data-action="add-friend">Add friend</div>
       <div class="cpcl-ctx-item" data-action="remove-friend">Remove friend</div>
+      <div class="cpcl-ctx-item" data-action="alert">Alert on this player\u2026</div>
+      <div class="cpcl-ctx-sep"></div>
+      <div class="cpcl-ctx-item" data-action="roster">Present in room</div>
+      <div class="cpcl-ctx-item" data-action="context">Show in context</div>
+    `;
+
+    // ── Roster modal ("Present in room") ──
+    const rosterModal = document.createElement('div');
+    rosterModal.id = 'cpcl-roster-modal';
+    rosterModal.className = 'cpcl-modal';
+    rosterModal.innerHTML = `
+      <div class="cpcl-modal-content">
+        <div class="cpcl-modal-title" id="cpcl-roster-title">Present in room</div>
+        <div class="cpcl-roster-when" id="cpcl-roster-when"></div>
+        <div class="cpcl-roster-list" id="cpcl-roster-list"></div>
+        <div class="cpcl-export-actions">
+          <button class="cpcl-btn cpcl-btn-sm" id="cpcl-roster-close">Close</button>
+        </div>
+      </div>
+    `;
+    panel.appendChild(rosterModal);
+
+    // ── Retention modal ──
+    const retentionModal = document.createElement('div');
+    retentionModal.id = 'cpcl-retention-modal';
+    retentionModal.className = 'cpcl-modal';
+    retentionModal.innerHTML = `
+      <div class="cpcl-modal-content">
+        <div class="cpcl-modal-title">Storage &amp; Retention</div>
+
+        <div class="cpcl-storage-meter"><div class="cpcl-storage-fill" id="cpcl-storage-fill"></div></div>
+        <div class="cpcl-storage-text" id="cpcl-storage-text">Checking storage\u2026</div>
+
+        <label class="cpcl-export-label">Keep at most</label>
+        <div class="cpcl-retention-grid">
+          <input type="number" min="0" step="1000" id="cpcl-ret-count"  class="cpcl-input"><span>messages in total</span>
+          <input type="number" min="0" step="1"    id="cpcl-ret-age"    class="cpcl-input"><span>days of history</span>
+          <input type="number" min="0" step="100"  id="cpcl-ret-room"   class="cpcl-input"><span>messages per room</span>
+          <input type="number" min="0" step="1000" id="cpcl-ret-server" class="cpcl-input"><span>messages per server</span>
+        </div>
+        <div class="cpcl-retention-hint">0 means no limit.</div>
+
+        <label class="cpcl-session-label"><input type="checkbox" id="cpcl-ret-bookmarked"> Never delete bookmarked messages</label>
+        <label class="cpcl-session-label"><input type="checkbox" id="cpcl-ret-friends"> Never delete friends' messages</label>
+
+        <label class="cpcl-export-label">Next prune</label>
+        <div class="cpcl-retention-preview" id="cpcl-retention-preview"></div>
+
+        <div class="cpcl-export-actions">
+          <button class="cpcl-btn cpcl-btn-sm" id="cpcl-retention-cancel">Cancel</button>
+          <button class="cpcl-btn cpcl-btn-sm cpcl-btn-danger" id="cpcl-retention-prune">Prune now</button>
+          <button class="cpcl-btn cpcl-export-go" id="cpcl-retention-save">Save</button>
+        </div>
+      </div>
+    `;
+    panel.appendChild(retentionModal);
+
+    // ── Alert rules modal ──
+    const alertsModal = document.createElement('div');
+    alertsModal.id = 'cpcl-alerts-modal';
+    alertsModal.className = 'cpcl-modal';
+    alertsModal.innerHTML = `
+      <div class="cpcl-modal-content cpcl-alerts-content">
+        <div class="cpcl-modal-title">Alert rules</div>
+        <div class="cpcl-retention-hint">Fill in any conditions; a message must match all of them. Empty fields match anything.</div>
+        <div class="cpcl-alert-rules" id="cpcl-alert-rules"></div>
+        <button class="cpcl-btn cpcl-btn-sm" id="cpcl-alerts-add">+ Add rule</button>
+
+        <label class="cpcl-export-label">Quiet hours</label>
+        <div class="cpcl-alert-quiet">
+          <label class="cpcl-session-label"><input type="checkbox" id="cpcl-quiet-enabled"> Mute from</label>
+          <input type="time" id="cpcl-quiet-start" class="cpcl-input">
+          <span>to</span>
+          <input type="time" id="cpcl-quiet-end" class="cpcl-input">
+        </div>
+        <div class="cpcl-retention-hint">Sounds, desktop notifications and the badge stay quiet; highlights and bookmarks still apply.</div>
+
+        <label class="cpcl-export-label">Desktop notifications</label>
+        <label class="cpcl-session-label"><input type="checkbox" id="cpcl-notify-friends"> When a friend joins my room</label>
+        <label class="cpcl-session-label"><input type="checkbox" id="cpcl-notify-mentions"> When someone mentions me</label>
+        <div class="cpcl-retention-hint">Only while the game tab is in the background. Click one to jump to the message.</div>
+
+        <div class="cpcl-export-actions">
+          <button class="cpcl-btn cpcl-btn-sm" id="cpcl-alerts-cancel">Cancel</button>
+          <button class="cpcl-btn cpcl-export-go" id="cpcl-alerts-save">Save</button>
+        </div>
+      </div>
+    `;
+    panel.appendChild(alertsModal);
+
+    // ── Ignored players modal ──
+    const ignoredModal = document.createElement('div');
+    ignoredModal.id = 'cpcl-ignored-modal';
+    ignoredModal.className = 'cpcl-modal';
+    ignoredModal.innerHTML = `
+      <div class="cpcl-modal-content">
+        <div class="cpcl-modal-title">Ignored &amp; muted players</div>
+        <div class="cpcl-ignored-list" id="cpcl-ignored-list"></div>
+
+        <label class="cpcl-export-label">Their messages</label>
+        <select id="cpcl-ignore-mode" class="cpcl-input cpcl-select">
+          <option value="hide">Hide them</option>
+          <option value="dim">Dim them</option>
+        </select>
+
+        <div class="cpcl-export-actions">
+          <button class="cpcl-btn cpcl-btn-sm" id="cpcl-ignored-close">Close</button>
+        </div>
+      </div>
+    `;
+    panel.appendChild(ignoredModal);
+
+    // ── Names (table overrides) modal ──
+    const namesModal = document.createElement('div');
+    namesModal.id = 'cpcl-names-modal';
+    namesModal.className = 'cpcl-modal';
+    namesModal.innerHTML = `
+      <div class="cpcl-modal-content cpcl-alerts-content">
+        <div class="cpcl-modal-title">Emote, joke &amp; safe-chat names</div>
+        <div class="cpcl-retention-hint" id="cpcl-names-hint"></div>
+        <div class="cpcl-names-list" id="cpcl-names-list"></div>
+        <button class="cpcl-btn cpcl-btn-sm" id="cpcl-names-add">+ Add name</button>
+
+        <label class="cpcl-export-label">Still unresolved in history</label>
+        <div class="cpcl-names-unresolved" id="cpcl-names-unresolved"></div>
+
+        <div class="cpcl-export-actions">
+          <button class="cpcl-btn cpcl-btn-sm" id="cpcl-names-cancel">Cancel</button>
+          <button class="cpcl-btn cpcl-export-go" id="cpcl-names-save">Save</button>
+        </div>
+      </div>
     `;
+    panel.appendChild(namesModal);
 
     // ── Resize handles (top / right / corner) ──
     const resizeTop    = document.createElement('div');
@@ -403,45 +922,142 @@
 
     badge       = document.getElementById('cpcl-badge');
     messageList = document.getElementById('cpcl-messages');
+    vlTop       = document.getElementById('cpcl-vl-top');
+    vlRows      = document.getElementById('cpcl-vl-rows');
+    vlBottom    = document.getElementById('cpcl-vl-bottom');
+    jumpBtn     = document.getElementById('cpcl-jump-latest');
+    messageList.addEventListener('scroll', vlOnScroll);
+    jumpBtn.addEventListener('click', jumpToLatest);
     searchInput = document.getElementById('cpcl-search');
     roomFilter  = document.getElementById('cpcl-room-filter');
+    serverFilter = document.getElementById('cpcl-server-filter');
 
     // Wire up controls
     document.getElementById('cpcl-close').addEventListener('click', togglePanel);
     document.getElementById('cpcl-clear').addEventListener('click', handleClear);
     document.getElementById('cpcl-export').addEventListener('click', handleExport);
+    document.getElementById('cpcl-retention').addEventListener('click', openRetention);
     searchInput.addEventListener('input', handleFilter);
+    attachQuerySuggest(searchInput, () => serverFilter.value);
+    attachQuerySuggest(document.getElementById('cpcl-export-query'),
+      () => document.getElementById('cpcl-export-server').value);
     roomFilter.addEventListener('change', handleFilter);
-    document.getElementById('cpcl-session-only').addEventListener('change', handleFilter);
+    serverFilter.addEventListener('change', () => {
+      // Room names differ per server — rebuild the list before reloading
+      roomFilter.value = '';
+      refreshRoomOptions().then(handleFilter);
+      if (activeTab === 'stats') populateStats();
+      if (activeTab === 'players') populatePlayers();
+      if (activeTab === 'sessions') populateSessions();
+    });
+    document.getElementById('cpcl-session-only').addEventListener('change', () => {
+      if (document.getElementById('cpcl-session-only').checked) viewedSession = null;
+      updateSessionChip();
+      handleFilter();
+    });
+    document.getElementById('cpcl-session-chip-close').addEventListener('click', () => openSession(null));
     document.getElementById('cpcl-bookmarks-only').addEventListener('change', handleFilter);
 
+    const presenceToggle = document.getElementById('cpcl-presence-toggle');
+    presenceToggle.checked = showPresence;
+    presenceToggle.addEventListener('change', () => {
+      showPresence = presenceToggle.checked;
+      saveSettings('showPresence');
+      handleFilter();
+    });
+
+    const threadsToggle = document.getElementById('cpcl-threads-toggle');
+    threadsToggle.checked = showThreads;
+    threadsToggle.addEventListener('change', () => {
+      showThreads = threadsToggle.checked;
+      saveSettings('showThreads');
+      threadItems(vlItems);
+      vlRefresh();
+    });
+
     // ── Regex toggle ──
     document.getElementById('cpcl-regex-toggle').addEventListener('click', () => {
       regexMode = !regexMode;
       document.getElementById('cpcl-regex-toggle').classList.toggle('active', regexMode);
       handleFilter();
     });
-
-    // ── Keyword alerts button ──
-    document.getElementById('cpcl-keywords').addEventListener('click', () => {
-      const current = alertKeywords.join(', ');
-      const input = prompt('Enter alert keywords (comma-separated):', current);
-      if (input === null) return;
-      alertKeywords = input.split(',').map(k => k.trim()).filter(Boolean);
-      localStorage.setItem('__cpChatLog_alertKeywords__', JSON.stringify(alertKeywords));
+    document.getElementById('cpcl-search-match').addEventListener('change', handleFilter);
+    document.getElementById('cpcl-search-sort').addEventListener('change', handleFilter);
+
+    // ── Alert rules editor ──
+    document.getElementById('cpcl-keywords').addEventListener('click', () => openAlertRules());
+    document.getElementById('cpcl-alerts-cancel').addEventListener('click', closeAlertRules);
+    document.getElementById('cpcl-alerts-save').addEventListener('click', saveAlertRulesForm);
+    document.getElementById('cpcl-alerts-add').addEventListener('click', () => {
+      alertDraft.push(newAlertRule());
+      renderAlertRules();
+    });
+    alertsModal.addEventListener('input', handleAlertRuleInput);
+    alertsModal.addEventListener('change', handleAlertRuleInput);
+    alertsModal.addEventListener('click', (e) => {
+      if (e.target === alertsModal) return closeAlertRules();
+      const remove = e.target.closest('[data-remove-rule]');
+      if (!remove) return;
+      alertDraft.splice(Number(remove.dataset.removeRule), 1);
+      renderAlertRules();
     });
 
     // ── Ignored players button ──
-    document.getElementById('cpcl-ignored-btn').addEventListener('click', handleIgnoredList);
+    document.getElementById('cpcl-ignored-btn').addEventListener('click', openIgnoredList);
+    document.getElementById('cpcl-ignored-close').addEventListener('click', () => {
+      ignoredModal.classList.remove('cpcl-modal-visible');
+    });
+    document.getElementById('cpcl-ignore-mode').addEventListener('change', (e) => {
+      ignoreMode = e.target.value;
+      saveSettings('ignoreMode');
+      vlRefresh(item => item.kind === 'msg');
+    });
+    ignoredModal.addEventListener('click', (e) => {
+      if (e.target === ignoredModal) ignoredModal.classList.remove('cpcl-modal-visible');
+      else handleIgnoredClick(e);
+    });
+
+    // ── Names button ──
+    document.getElementById('cpcl-names').addEventListener('click', openNamesEditor);
+    document.getElementById('cpcl-names-cancel').addEventListener('click', closeNamesEditor);
+    document.getElementById('cpcl-names-save').addEventListener('click', saveNamesForm);
+    document.getElementById('cpcl-names-add').addEventListener('click', () => {
+      namesDraft.push({ kind: 'emotes', id: '', text: '' });
+      renderNamesEditor();
+    });
+    namesModal.addEventListener('input', handleNamesInput);
+    namesModal.addEventListener('change', handleNamesInput);
+    namesModal.addEventListener('click', handleNamesClick);
     updateIgnoredCount();
 
     // ── Export modal controls ──
     document.getElementById('cpcl-export-cancel').addEventListener('click', closeExportModal);
     document.getElementById('cpcl-export-go').addEventListener('click', performExport);
+    document.getElementById('cpcl-export-server').addEventListener('change', refreshExportRooms);
+    document.getElementById('cpcl-export-preset').addEventListener('change', applyExportPreset);
+
+    // ── Saved searches ──
+    document.getElementById('cpcl-presets').addEventListener('click', handlePresetClick);
+    renderPresets();
     exportModal.addEventListener('click', (e) => {
       if (e.target === exportModal) closeExportModal();
     });
 
+    // ── Retention modal controls ──
+    document.getElementById('cpcl-retention-cancel').addEventListener('click', closeRetention);
+    document.getElementById('cpcl-retention-save').addEventListener('click', saveRetention);
+    document.getElementById('cpcl-retention-prune').addEventListener('click', pruneNow);
+    retentionModal.addEventListener('input', schedulePreview);
+    retentionModal.addEventListener('click', (e) => {
+      if (e.target === retentionModal) closeRetention();
+    });
+
+    // ── Roster modal controls ──
+    document.getElementById('cpcl-roster-close').addEventListener('click', closeRoster);
+    rosterModal.addEventListener('click', (e) => {
+      if (e.target === rosterModal) closeRoster();
+    });
+
     // ── Tab switching ──
     panel.querySelectorAll('.cpcl-tab').forEach(tabBtn => {
       tabBtn.addEventListener('click', () => switchTab(tabBtn.dataset.tab));
@@ -469,74 +1085,112 @@
       const item = e.target.closest('.cpcl-ctx-item');
       if (!item) return;
       const action   = item.dataset.action;
+      const key      = ctxMenu.dataset.identity;
       const username = ctxMenu.dataset.username;
-      if (!username) return;
+      ctxMenu.style.display = 'none';
+
+      if (action === 'roster') {
+        if (ctxMenu._msgEl) showRoster(ctxMenu._msgEl);
+        return;
+      }
+      if (action === 'context') {
+        if (ctxMenu._msgEl) openContext(ctxMenu._msgEl.dataset.id);
+        return;
+      }
+      if (!key) return;
+      rememberIdentity(key, username);
 
       if (action === 'ignore') {
-        localIgnored.add(username);
-        window.__cpChatLog_ignored.add(username);
-        window.__cpChatLog_saveIgnored();
-        messageList.querySelectorAll('.cpcl-msg').forEach(el => {
-          if (el.dataset.username === username) el.classList.add('cpcl-msg-ignored');
-        });
+        ignored.add(key);
+        saveSettings('ignored');
+        vlRefresh(item => item.kind === 'msg' && identityKey(item.record) === key);
         updateIgnoredCount();
       } else if (action === 'unignore') {
-        localIgnored.delete(username);
-        window.__cpChatLog_ignored.delete(username);
-        window.__cpChatLog_saveIgnored();
-        messageList.querySelectorAll('.cpcl-msg').forEach(el => {
-          if (el.dataset.username === username) el.classList.remove('cpcl-msg-ignored');
-        });
+        // Also drop a legacy name-keyed entry for the same player
+        for (const k of [key, username]) ignored.delete(k);
+        saveSettings('ignored');
+        vlRefresh(item => item.kind === 'msg' && identityKey(item.record) === key);
         updateIgnoredCount();
+      } else if (action === 'mute') {
+        mutePlayer(key, item.dataset.minutes);
+      } else if (action === 'unmute') {
+        unmutePlayer(key);
       } else if (action === 'add-friend') {
-        localFriends.add(username);
-        window.__cpChatLog_friends.add(username);
-        window.__cpChatLog_saveFriends();
-        messageList.querySelectorAll('.cpcl-msg').forEach(el => {
-          if (el.dataset.username === username) el.classList.add('cpcl-msg-friend');
-        });
+        friends.add(key);
+        saveSettings('friends');
+        vlRefresh();
       } else if (action === 'remove-friend') {
-        localFriends.delete(username);
-        window.__cpChatLog_friends.delete(username);
-        window.__cpChatLog_saveFriends();
-        messageList.querySelectorAll('.cpcl-msg').forEach(el => {
-          if (el.dataset.username === username) el.classList.remove('cpcl-msg-friend');
-        });
+        for (const k of [key, username]) friends.delete(k);
+        saveSettings('friends');
+        vlRefresh();
+      } else if (action === 'alert') {
+        openAlertRules(newAlertRule({ name: username, player: username, playerKey: key !== username ? key : '' }));
       }
+    });
 
-      ctxMenu.style.display = 'none';
+    // ── Click a search result for its surrounding conversation ──
+    messageList.addEventListener('click', (e) => {
+      const bar = e.target.closest('[data-thread]');
+      if (bar) { toggleThread(bar.dataset.thread); return; }
+      const msgEl = e.target.closest('.cpcl-msg');
+      if (!msgEl || !msgEl.dataset.id || !isResultsView() || replayActive) return;
+      if (String(window.getSelection())) return; // selecting text, not opening
+      openContext(msgEl.dataset.id);
     });
 
-    // ── Right-click on username ──
-    messageList.addEventListener('contextmenu', (e) => {
-      const userEl = e.target.closest('.cpcl-msg-user');
-      if (!userEl) return;
+    // ── Context view ──
+    document.getElementById('cpcl-context-back').addEventListener('click', () => closeContext());
+    document.getElementById('cpcl-context-list').addEventListener('click', (e) => {
+      const more = e.target.closest('[data-widen]');
+      if (!more || !contextView) return;
+      const { id, before, after } = contextView;
+      if (more.dataset.widen === 'before') openContext(id, Math.min(before + CONTEXT_STEP, CONTEXT_MAX), after);
+      else openContext(id, before, Math.min(after + CONTEXT_STEP, CONTEXT_MAX));
+    });
+
+    // ── Right-click on a message ──
+    const openMessageMenu = (e) => {
+      const msgEl = e.target.closest('.cpcl-msg');
+      if (!msgEl) return;
       e.preventDefault();
 
-      const msgEl    = userEl.closest('.cpcl-msg');
-      const username = msgEl ? msgEl.dataset.username : '';
-      if (!username) return;
+      const username = msgEl.dataset.username || '';
+      const key      = msgEl.dataset.identity || '';
 
       ctxMenu.dataset.username = username;
+      ctxMenu.dataset.identity = key;
+      ctxMenu._msgEl = msgEl;
 
-      const isIgnored = localIgnored.has(username) || window.__cpChatLog_ignored.has(username);
+      const isIgnored = isIgnoredIdentity(key, username);
       ctxMenu.querySelector('[data-action="ignore"]').style.display   = isIgnored ? 'none' : '';
       ctxMenu.querySelector('[data-action="unignore"]').style.display = isIgnored ? '' : 'none';
 
-      const isFriend = localFriends.has(username) || window.__cpChatLog_friends.has(username);
+      const isMuted = isMutedIdentity(key);
+      ctxMenu.querySelectorAll('[data-action="mute"]').forEach((el) => {
+        el.style.display = isIgnored || isMuted ? 'none' : '';
+      });
+      ctxMenu.querySelector('[data-action="unmute"]').style.display = isMuted ? '' : 'none';
+
+      const isFriend = isFriendIdentity(key, username);
       ctxMenu.querySelector('[data-action="add-friend"]').style.display    = isFriend ? 'none' : '';
       ctxMenu.querySelector('[data-action="remove-friend"]').style.display = isFriend ? '' : 'none';
 
+      ctxMenu.querySelector('[data-action="roster"]').style.display = msgEl.dataset.room ? '' : 'none';
+      ctxMenu.querySelector('[data-action="context"]').style.display = msgEl.dataset.id ? '' : 'none';
+
       ctxMenu.style.display = 'block';
       ctxMenu.style.left    = e.clientX + 'px';
       ctxMenu.style.top     = e.clientY + 'px';
-    });
+    };
+    messageList.addEventListener('contextmenu', openMessageMenu);
+    document.getElementById('cpcl-context-list').addEventListener('contextmenu', openMessageMenu);
   }
 
   // ─── Tab switching ──────────────────────────────────────────────────────────
 
   function switchTab(tab) {
     activeTab = tab;
+    if (contextView) closeContext(false);
 
     panel.querySelectorAll('.cpcl-tab').forEach(btn => {
       btn.classList.toggle('cpcl-tab-active', btn.dataset.tab === tab);
@@ -545,10 +1199,13 @@
     messageList.style.display = tab === 'chat' ? '' : 'none';
     document.getElementById('cpcl-stats').style.display = tab === 'stats' ? '' : 'none';
     document.getElementById('cpcl-players').style.display = tab === 'players' ? '' : 'none';
+    document.getElementById('cpcl-sessions').style.display = tab === 'sessions' ? '' : 'none';
     document.getElementById('cpcl-server').style.display = tab === 'server' ? '' : 'none';
 
+    if (tab === 'chat') vlRender();
     if (tab === 'stats') populateStats();
     if (tab === 'players') populatePlayers();
+    if (tab === 'sessions') populateSessions();
     if (tab === 'server') populateServer();
   }
 
@@ -558,50 +1215,28 @@
     const statsEl = document.getElementById('cpcl-stats');
     statsEl.innerHTML = '<div class="cpcl-empty">Loading...</div>';
 
-    const records = await dbGetAll();
+    const stats = await dbGetStats(serverFilter.value);
 
-    if (records.length === 0) {
+    if (!stats || stats.total === 0) {
       statsEl.innerHTML = '<div class="cpcl-empty">No messages recorded yet.</div>';
       return;
     }
 
-    const totalMessages = records.length;
-    const uniquePlayers = new Set(records.map(r => r.username));
-    const uniqueRooms   = new Set(records.map(r => r.room));
-
-    const todayStr = new Date().toDateString();
-    const messagesToday = records.filter(r => new Date(r.timestamp).toDateString() === todayStr).length;
-
-    // Most active room
-    const roomCounts = {};
-    records.forEach(r => { roomCounts[r.room] = (roomCounts[r.room] || 0) + 1; });
-    const mostActiveRoom = Object.entries(roomCounts).sort((a, b) => b[1] - a[1])[0];
-
-    // Most active player
-    const playerCounts = {};
-    records.forEach(r => { playerCounts[r.username] = (playerCounts[r.username] || 0) + 1; });
-    const mostActivePlayer = Object.entries(playerCounts).sort((a, b) => b[1] - a[1])[0];
+    const totalMessages    = stats.total;
+    const mostActiveRoom   = stats.topRoom;
+    const mostActivePlayer = stats.topPlayer;
 
     // Busiest hour
-    const hourCounts = new Array(24).fill(0);
-    records.forEach(r => { hourCounts[new Date(r.timestamp).getHours()]++; });
-    const busiestHour = hourCounts.indexOf(Math.max(...hourCounts));
+    const busiestHour = stats.hours.indexOf(Math.max(...stats.hours));
     const busiestHourStr = new Date(0, 0, 0, busiestHour).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
 
-    // Last 7 days chart
+    // Last 7 days chart (stats.days runs oldest → today)
     const dayCounts = {};
     const now = new Date();
     for (let i = 6; i >= 0; i--) {
       const d = new Date(now);
       d.setDate(d.getDate() - i);
-      const key = d.toLocaleDateString([], { weekday: 'short' });
-      const dateStr = d.toDateString();
-      dayCounts[key] = 0;
-      records.forEach(r => {
-        if (new Date(r.timestamp).toDateString() === dateStr) {
-          dayCounts[key]++;
-        }
-      });
+      dayCounts[d.toLocaleDateString([], { weekday: 'short' })] = stats.days[6 - i];
     }
     const maxDayCount = Math.max(...Object.values(dayCounts), 1);
 
@@ -625,15 +1260,15 @@
           <div class="cpcl-stat-label">Total Messages</div>
         </div>
         <div class="cpcl-stat-card">
-          <div class="cpcl-stat-value">${uniquePlayers.size.toLocaleString()}</div>
+          <div class="cpcl-stat-value">${stats.uniquePlayers.toLocaleString()}</div>
           <div class="cpcl-stat-label">Unique Players</div>
         </div>
         <div class="cpcl-stat-card">
-          <div class="cpcl-stat-value">${uniqueRooms.size.toLocaleString()}</div>
+          <div class="cpcl-stat-value">${stats.uniqueRooms.toLocaleString()}</div>
           <div class="cpcl-stat-label">Unique Rooms</div>
         </div>
         <div class="cpcl-stat-card">
-          <div class="cpcl-stat-value">${messagesToday.toLocaleString()}</div>
+          <div class="cpcl-stat-value">${stats.today.toLocaleString()}</div>
           <div class="cpcl-stat-label">Messages Today</div>
         </div>
         <div class="cpcl-stat-card">
@@ -661,55 +1296,52 @@
 
   // ─── Players View ─────────────────────────────────────────────────────────
 
-  function populatePlayers() {
+  async function populatePlayers() {
     const playersEl = document.getElementById('cpcl-players');
-    const registry = window.__cpChatLog_playerRegistry;
-    const friends  = window.__cpChatLog_friends;
 
-    if (!registry || registry.size === 0) {
+    const players = await dbGetPlayers(serverFilter.value ? { server: serverFilter.value } : {});
+
+    if (players.length === 0) {
       playersEl.innerHTML = '<div class="cpcl-empty">No players detected yet. Join a room in-game!</div>';
       return;
     }
 
-    const players = [];
-    registry.forEach((info, id) => {
-      players.push({ id, ...info });
-    });
-    players.sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
-
     const frag = document.createDocumentFragment();
     for (const p of players) {
-      const isFriend = friends && friends.has(p.username);
+      const name     = p.nickname || p.username || `Penguin #${p.id}`;
+      const key      = `${p.server}#${p.id}`;
+      const isFriend = isFriendIdentity(key, name);
       const card = document.createElement('div');
       card.className = 'cpcl-player-card';
 
-      const lastRoom = p.roomsVisited && p.roomsVisited.size
-        ? [...p.roomsVisited].pop()
-        : '(unknown)';
-      const msgCount = p.messageCount || 0;
-      const lastSeenStr = p.lastSeen ? relativeTime(p.lastSeen) : 'unknown';
+      const lastRoom     = p.lastRoom || '(unknown)';
+      const msgCount     = p.messageCount || 0;
+      const roomCount    = p.rooms ? p.rooms.length : 0;
+      const lastSeenStr  = p.lastSeen ? relativeTime(p.lastSeen) : 'unknown';
+      const firstSeenStr = p.firstSeen ? new Date(p.firstSeen).toLocaleDateString() : 'unknown';
+      const formerly     = p.formerNames || [];
 
-      const pNameStyle = isFriend ? '' : ` style="color:${usernameColor(p.username)}"`;
+      const pNameStyle = isFriend ? '' : ` style="color:${usernameColor(name)}"`;
 
+      card.title = `#${p.id} on ${p.server}\nFirst seen ${firstSeenStr}\nRooms: ${(p.rooms || []).join(', ')}`;
       card.innerHTML = `
         <div class="cpcl-player-info">
-          <span class="cpcl-player-name${isFriend ? ' cpcl-is-friend' : ''}"${pNameStyle}>${escHtml(p.username)}</span>
+          <span class="cpcl-player-name${isFriend ? ' cpcl-is-friend' : ''}"${pNameStyle}>${escHtml(name)}${formerly.length ? ` <span class="cpcl-msg-formerly">(formerly ${escHtml(formerly.join(', '))})</span>` : ''}</span>
           <span class="cpcl-player-meta">${msgCount} message${msgCount !== 1 ? 's' : ''} \u00B7 ${escHtml(lastRoom)} \u00B7 ${escHtml(lastSeenStr)}</span>
+          <span class="cpcl-player-meta">${roomCount} room${roomCount !== 1 ? 's' : ''} \u00B7 since ${escHtml(firstSeenStr)}</span>
         </div>
         <button class="cpcl-player-friend${isFriend ? ' cpcl-is-friend' : ''}" title="Toggle friend">${isFriend ? '\u2605' : '\u2606'}</button>
       `;
 
       const friendBtn = card.querySelector('.cpcl-player-friend');
       friendBtn.addEventListener('click', () => {
-        if (!friends) return;
-        if (friends.has(p.username)) {
-          friends.delete(p.username);
+        rememberIdentity(key, name);
+        if (isFriendIdentity(key, name)) {
+          for (const k of [key, name]) friends.delete(k);
         } else {
-          friends.add(p.username);
-        }
-        if (typeof window.__cpChatLog_saveFriends === 'function') {
-          window.__cpChatLog_saveFriends();
+          friends.add(key);
         }
+        saveSettings('friends');
         populatePlayers();
       });
 
@@ -720,6 +1352,79 @@
     playersEl.appendChild(frag);
   }
 
+  // ─── Sessions View ────────────────────────────────────────────────────────
+  // Browse past page loads; clicking one opens it in the Chat tab.
+
+  function formatDuration(ms) {
+    const mins = Math.max(0, Math.round(ms / 60000));
+    if (mins < 60) return `${mins}m`;
+    return `${Math.floor(mins / 60)}h ${mins % 60}m`;
+  }
+
+  function sessionLabel(session) {
+    const start = new Date(session.startedAt);
+    return `${start.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  }
+
+  async function populateSessions() {
+    const sessionsEl = document.getElementById('cpcl-sessions');
+    const sessions   = await dbGetSessions(serverFilter.value ? { server: serverFilter.value } : {});
+
+    if (sessions.length === 0) {
+      sessionsEl.innerHTML = '<div class="cpcl-empty">No sessions recorded yet.</div>';
+      return;
+    }
+
+    const frag = document.createDocumentFragment();
+    for (const session of sessions) {
+      const isCurrent = session.id === SESSION_ID;
+      const rooms     = (session.rooms || []).map(r => r.room);
+      const card = document.createElement('div');
+      card.className = 'cpcl-session-card'
+        + (isCurrent ? ' cpcl-session-current' : '')
+        + (session.id === viewedSession ? ' cpcl-session-open' : '');
+      card.title = rooms.length ? `Rooms: ${rooms.join(' \u2192 ')}` : '';
+      card.innerHTML = `
+        <div class="cpcl-session-head">
+          <span class="cpcl-session-when">${escHtml(sessionLabel(session))}${isCurrent ? ' (current)' : ''}</span>
+          <span class="cpcl-session-dur">${escHtml(formatDuration(session.endedAt - session.startedAt))}</span>
+        </div>
+        <span class="cpcl-player-meta">${escHtml(session.server || 'unknown server')}${session.ownUsername ? ' \u00B7 as ' + escHtml(session.ownUsername) : ''} \u00B7 ${session.messageCount} message${session.messageCount !== 1 ? 's' : ''} (${session.sentCount} sent)</span>
+        <span class="cpcl-player-meta">${rooms.length ? escHtml(rooms.join(' \u2192 ')) : 'No rooms recorded'}</span>
+      `;
+      card.addEventListener('click', () => openSession(isCurrent ? null : session, isCurrent));
+      frag.appendChild(card);
+    }
+
+    sessionsEl.innerHTML = '';
+    sessionsEl.appendChild(frag);
+  }
+
+  /** Limit the Chat tab to one past session (null clears it). */
+  function openSession(session, current = false) {
+    viewedSession = session ? session.id : null;
+    document.getElementById('cpcl-session-only').checked = current;
+    updateSessionChip(session);
+    switchTab('chat');
+    handleFilter();
+  }
+
+  function updateSessionChip(session) {
+    const chip = document.getElementById('cpcl-session-chip');
+    if (!viewedSession) { chip.style.display = 'none'; return; }
+    if (session) {
+      document.getElementById('cpcl-session-chip-label').textContent =
+        `Session ${sessionLabel(session)}${session.ownUsername ? ' \u00B7 ' + session.ownUsername : ''}`;
+    }
+    chip.style.display = '';
+  }
+
+  /** Session the chat view is limited to: an opened past session, else this one if checked. */
+  function activeSessionFilter() {
+    if (viewedSession) return viewedSession;
+    return document.getElementById('cpcl-session-only').checked ? SESSION_ID : null;
+  }
+
   // ─── Server View ──────────────────────────────────────────────────────────
   // State is received via SERVER_EVENT (serialised from MAIN world).
 
@@ -855,8 +1560,11 @@
     panel.classList.toggle('cpcl-panel-visible', panelVisible);
     if (panelVisible) {
       unreadCount = 0;
+      badge.classList.remove('cpcl-badge-alert');
       updateBadge();
       loadHistory();
+      trackActivePreset();
+      if (activePresetId) { markPresetSeen(activePresetId); renderPresets(); }
     } else if (replayActive) {
       exitReplay();
     }
@@ -892,36 +1600,52 @@
 
     let classes = `cpcl-msg ${record.direction === 'out' ? 'cpcl-msg-out' : 'cpcl-msg-in'}`;
 
-    const isIgnored = record.isIgnored || localIgnored.has(record.username) || window.__cpChatLog_ignored.has(record.username);
-    if (isIgnored) classes += ' cpcl-msg-ignored';
+    const key = identityKey(record);
+
+    // The live lists, not record.isIgnored, so unignoring shows history again
+    if (isIgnoredIdentity(key, record.username) || isMutedIdentity(key)) {
+      classes += ignoreMode === 'dim' ? ' cpcl-msg-dimmed' : ' cpcl-msg-ignored';
+    }
 
-    const isFriend = record.isFriend || localFriends.has(record.username) || window.__cpChatLog_friends.has(record.username);
+    const isFriend = record.isFriend || isFriendIdentity(key, record.username);
     if (isFriend) classes += ' cpcl-msg-friend';
 
     const msgId = record.id != null ? String(record.id) : null;
     if (msgId && bookmarks.has(msgId)) classes += ' cpcl-msg-bookmarked';
 
+    const mentions = mentionMarkup(record);
+
     el.className    = classes;
     el.dataset.username = record.username;
+    el.dataset.identity = key;
     el.dataset.room     = record.room;
     el.dataset.session  = record.session;
+    el.dataset.timestamp = String(record.timestamp);
+    if (record.server) el.dataset.server = record.server;
     if (msgId) el.dataset.id = msgId;
 
     const starChar = (msgId && bookmarks.has(msgId)) ? '\u2605' : '\u2606';
 
-    const nameStyle = isFriend ? '' : ` style="color:${usernameColor(record.username)}"`;
+    const name      = record.currentName || record.username;
+    const nameStyle = isFriend ? '' : ` style="color:${usernameColor(name)}"`;
+    const sentAs    = name !== record.username ? ` title="Sent as ${escHtml(record.username)}"` : '';
+    const formerly  = record.formerNames && record.formerNames.length
+      ? `<span class="cpcl-msg-formerly">(formerly ${escHtml(record.formerNames.join(', '))})</span>`
+      : '';
 
     el.innerHTML = `
       <span class="cpcl-msg-star" title="Bookmark">${starChar}</span>
       <div class="cpcl-msg-meta">
-        <span class="cpcl-msg-user"${nameStyle}>${escHtml(record.username)}</span>
+        <span class="cpcl-msg-user"${nameStyle}${sentAs}>${escHtml(name)}</span>${formerly}
         <span class="cpcl-msg-room">${escHtml(record.room)}</span>
+        ${record.server && record.server !== PAGE_SERVER ? `<span class="cpcl-msg-server">${escHtml(record.server)}</span>` : ''}
         <span class="cpcl-msg-time" title="${new Date(record.timestamp).toLocaleString()}">
           ${isToday ? formatTime(record.timestamp) : formatDate(record.timestamp)}
         </span>
       </div>
-      <div class="cpcl-msg-text">${escHtml(record.message)}</div>
+      <div class="cpcl-msg-text">${mentions.html}</div>
     `;
+    if (mentions.me) el.classList.add('cpcl-msg-mention-me');
 
     const starEl = el.querySelector('.cpcl-msg-star');
     starEl.addEventListener('click', (e) => {
@@ -962,80 +1686,446 @@
   }
 
   // ── Search matching (plain text vs regex) ──
-  function matchesSearch(search, username, message) {
-    if (regexMode) {
+  // Plain searches use the background store's query language and operator
+  // tests (shared/query.js) and mirror its token search (case- and
+  // diacritic-insensitive words, "phrases", prefixes, all/any), so live
+  // messages are filtered exactly like the history above them. Names include
+  // the sender's current and former names, when known.
+
+  const {
+    QUERY_KEYS, TYPE_EVENTS, foldText, tokenize, parseSearch, parseQuery, clauseTests, fromNames,
+  } = window.__cpChatLog_query;
+
+  // from: also matches whoever used the name before a rename. Only the
+  // players store knows that, so each name is looked up once (and again
+  // after a while) and live messages use whatever has arrived so far.
+  const NAMED_TTL_MS = 60_000;
+  const fromNamed    = new Map(); // folded name -> { at, keys: Set of "server|id" }
+
+  function namedKeys(clauses) {
+    const named = new Set();
+    for (const name of fromNames(clauses)) {
+      const key   = foldText(name);
+      const entry = fromNamed.get(key);
+      if (entry) entry.keys.forEach(k => named.add(k));
+      if (entry && Date.now() - entry.at < NAMED_TTL_MS) continue;
+      const next = { at: Date.now(), keys: entry ? entry.keys : new Set() };
+      fromNamed.set(key, next);
+      sendToBackground('players:named', { names: [name] })
+        .then((keys) => { next.keys = new Set(keys || []); })
+        .catch(() => {});
+    }
+    return named;
+  }
+
+  const queryContext = (clauses) => ({
+    named:      namedKeys(clauses),
+    bookmarked: (r) => r.id != null && bookmarks.has(String(r.id)),
+    friend:     (r) => isFriendIdentity(identityKey(r), r.username),
+  });
+
+  function termMatches(term, words, names) {
+    const n = term.words.length;
+    const wordMatch = (w, k) => (term.prefix && k === n - 1) ? w.startsWith(term.words[k]) : w === term.words[k];
+    for (let i = 0; i + n <= words.length; i++) {
+      let ok = true;
+      for (let k = 0; k < n && ok; k++) ok = wordMatch(words[i + k], k);
+      if (ok) return true;
+    }
+    return !term.phrase && names.some(name => wordMatch(name, 0));
+  }
+
+  function matchesSearch(search, record, regex = regexMode,
+                         match = document.getElementById('cpcl-search-match').value) {
+    const names = [record.username, record.currentName, ...(record.formerNames || [])].filter(Boolean);
+    if (regex) {
       try {
         const re = new RegExp(search, 'i');
-        return re.test(username) || re.test(message);
+        return names.some(n => re.test(n)) || re.test(record.message);
       } catch (_) {
         const q = search.toLowerCase();
-        return username.toLowerCase().includes(q) || message.toLowerCase().includes(q);
+        return names.some(n => n.toLowerCase().includes(q)) || record.message.toLowerCase().includes(q);
       }
-    } else {
-      const q = search.toLowerCase();
-      return username.toLowerCase().includes(q) || message.toLowerCase().includes(q);
     }
+    const { clauses, search: text, exclude } = parseQuery(search);
+    if (!clauseTests(clauses, queryContext(clauses)).every(t => t(record))) return false;
+    const terms  = parseSearch(text);
+    const words  = tokenize(record.message);
+    const folded = names.map(foldText);
+    if (exclude.some(term => termMatches(term, words, folded))) return false;
+    if (!terms.length) return true;
+    return match === 'any'
+      ? terms.some(term => termMatches(term, words, folded))
+      : terms.every(term => termMatches(term, words, folded));
   }
 
-  // ── Keyword match ──
-  function matchesKeyword(record) {
-    if (alertKeywords.length === 0) return false;
-    const text = (record.username + ' ' + record.message).toLowerCase();
-    return alertKeywords.some(kw => text.includes(kw.toLowerCase()));
+  // ── Query autocomplete ──
+  // Suggests operator names, then values for the operator under the caret:
+  // player names, rooms and servers from the store, fixed lists otherwise.
+
+  const SUGGEST_MAX    = 8;
+  const SUGGEST_TTL_MS = 30_000;
+  const suggestCache   = new Map(); // "key|server" -> { at, values }
+
+  async function suggestValues(key, server) {
+    if (key === 'type') return Object.keys(TYPE_EVENTS);
+    if (key === 'dir')  return ['in', 'out'];
+    if (key === 'is')   return ['bookmarked', 'friend', 'alert'];
+    if (key === 'before' || key === 'after') {
+      const today = new Date();
+      const iso = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+      return ['today', 'yesterday', '7d', '30d',
+        ...[0, 1, 7, 30].map(n => iso(new Date(today.getFullYear(), today.getMonth(), today.getDate() - n)))];
+    }
+    const cacheKey = `${key}|${server}`;
+    const cached   = suggestCache.get(cacheKey);
+    if (cached && Date.now() - cached.at < SUGGEST_TTL_MS) return cached.values;
+    let values = [];
+    if (key === 'from') {
+      const players = await dbGetPlayers(server ? { server } : {});
+      values = [...new Set(players.flatMap(p => p.names || []))];
+    } else if (key === 'room') {
+      values = await dbGetRooms(server || undefined);
+    } else if (key === 'server') {
+      values = await dbGetServers();
+    }
+    suggestCache.set(cacheKey, { at: Date.now(), values });
+    return values;
   }
 
-  // ── Ignored count updater ──
-  function updateIgnoredCount() {
-    const btn = document.getElementById('cpcl-ignored-btn');
-    if (!btn) return;
-    const count = window.__cpChatLog_ignored ? window.__cpChatLog_ignored.size : localIgnored.size;
-    btn.textContent = '\uD83D\uDC41 ' + count + ' ignored';
+  /** The operator or word being typed at the caret, if any. */
+  function queryAtCaret(input) {
+    const before = input.value.slice(0, input.selectionStart);
+    const m = /(^|\s)(-?)(?:([a-z]+):("[^"]*|[^\s"]*)|([a-z]+))$/i.exec(before);
+    if (!m) return null;
+    const start = m.index + m[1].length;
+    if (m[5]) return { start, end: before.length, word: m[5], neg: m[2] };
+    const key = m[3].toLowerCase();
+    if (!QUERY_KEYS.includes(key)) return null;
+    const value = m[4].replace(/^"/, '');
+    const alts  = value.split('|');
+    return { start, end: before.length, key, neg: m[2], alts, partial: alts[alts.length - 1] };
   }
 
-  // ── Ignored list popup ──
-  function handleIgnoredList() {
-    const ignored = [...(window.__cpChatLog_ignored || localIgnored)];
-    if (ignored.length === 0) {
-      alert('No ignored players.');
-      return;
-    }
-    const choice = prompt(
-      'Ignored players (type a name to unignore, or cancel):\n\n' +
-      ignored.map((u, i) => (i + 1) + '. ' + u).join('\n')
-    );
-    if (!choice) return;
-    const name = choice.trim();
-    if (localIgnored.has(name) || (window.__cpChatLog_ignored && window.__cpChatLog_ignored.has(name))) {
-      localIgnored.delete(name);
-      if (window.__cpChatLog_ignored) window.__cpChatLog_ignored.delete(name);
-      window.__cpChatLog_saveIgnored();
-      messageList.querySelectorAll('.cpcl-msg').forEach(el => {
-        if (el.dataset.username === name) el.classList.remove('cpcl-msg-ignored');
-      });
-      updateIgnoredCount();
+  function attachQuerySuggest(input, serverOf) {
+    const box = document.createElement('div');
+    box.className = 'cpcl-suggest';
+    panel.appendChild(box);
+    let items  = [];
+    let active = 0;
+    let target = null;
+
+    const close = () => { box.classList.remove('cpcl-suggest-visible'); items = []; };
+
+    const render = () => {
+      box.innerHTML = items.map((item, i) =>
+        `<div class="cpcl-suggest-item${i === active ? ' active' : ''}" data-i="${i}">${escHtml(item.label)}</div>`
+      ).join('');
+      const r  = input.getBoundingClientRect();
+      const pr = panel.getBoundingClientRect();
+      box.style.left  = `${r.left - pr.left}px`;
+      box.style.top   = `${r.bottom - pr.top + 2}px`;
+      box.style.width = `${r.width}px`;
+      box.classList.add('cpcl-suggest-visible');
+    };
+
+    const update = async () => {
+      if (regexMode && input === searchInput) return close();
+      const at = queryAtCaret(input);
+      if (!at) return close();
+      let found;
+      if (at.word) {
+        const w = at.word.toLowerCase();
+        found = QUERY_KEYS.filter(k => k.startsWith(w) && k !== w).map(k => ({ label: `${k}:`, text: `${at.neg}${k}:`, open: true }));
+      } else {
+        const p = foldText(at.partial);
+        const values = await suggestValues(at.key, serverOf());
+        if (queryAtCaret(input)?.partial !== at.partial) return; // typed on meanwhile
+        found = values
+          .filter(v => foldText(v).startsWith(p) && foldText(v) !== p)
+          .slice(0, SUGGEST_MAX)
+          .map((v) => {
+            const alts  = [...at.alts.slice(0, -1), v];
+            const value = alts.some(a => /\s/.test(a)) ? `"${alts.join('|')}"` : alts.join('|');
+            return { label: v, text: `${at.neg}${at.key}:${value} ` };
+          });
+      }
+      items  = found.slice(0, SUGGEST_MAX);
+      active = 0;
+      target = at;
+      items.length ? render() : close();
+    };
+
+    const accept = (item) => {
+      const v = input.value;
+      // Swallow the rest of a quoted value the caret is inside
+      let end = target.end;
+      if (!item.open) while (end < v.length && !/\s/.test(v[end])) end++;
+      const rest = v.slice(end);
+      input.value = v.slice(0, target.start) + item.text + (item.open ? rest : rest.replace(/^\s+/, ''));
+      const caret = target.start + item.text.length;
+      input.setSelectionRange(caret, caret);
+      close();
+      input.dispatchEvent(new Event('input'));
+      if (item.open) update();
+    };
+
+    input.addEventListener('input', update);
+    input.addEventListener('click', update);
+    input.addEventListener('blur', close);
+    input.addEventListener('keydown', (e) => {
+      if (!items.length) return;
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        active = (active + (e.key === 'ArrowDown' ? 1 : items.length - 1)) % items.length;
+        render();
+      } else if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        accept(items[active]);
+      } else if (e.key === 'Escape') {
+        e.stopPropagation();
+        close();
+      }
+    });
+    box.addEventListener('mousedown', (e) => {
+      const el = e.target.closest('.cpcl-suggest-item');
+      if (!el) return;
+      e.preventDefault(); // keep focus in the input
+      accept(items[Number(el.dataset.i)]);
+    });
+  }
+
+  // ── Ignored count updater ──
+  function updateIgnoredCount() {
+    const btn = document.getElementById('cpcl-ignored-btn');
+    if (!btn) return;
+    const muted = activeMutes().length;
+    btn.textContent = '\uD83D\uDC41 ' + ignored.size + ' ignored' + (muted ? `, ${muted} muted` : '');
+  }
+
+  // ── Temporary mutes ──
+  // Timed mutes are stored (so a reload doesn't lift them) and lapse on
+  // their own; "until next session" mutes only live as long as this page.
+  const sessionMutes = new Set();
+  let muteTimer = null;
+
+  function isMutedIdentity(key) {
+    return sessionMutes.has(key) || (mutes[key] || 0) > Date.now();
+  }
+
+  function activeMutes() {
+    const now = Date.now();
+    return [...new Set([...sessionMutes, ...Object.keys(mutes).filter(k => mutes[k] > now)])];
+  }
+
+  function mutePlayer(key, minutes) {
+    if (minutes === 'session') {
+      sessionMutes.add(key);
     } else {
-      alert('Player "' + name + '" is not in the ignore list.');
+      mutes = { ...mutes, [key]: Date.now() + Number(minutes) * 60_000 };
+      saveSettings('mutes');
+      scheduleMuteExpiry();
     }
+    refreshIdentity(key);
   }
 
-  function appendToPanel(record) {
-    // Update room filter
-    if (!allRooms.has(record.room)) {
-      allRooms.add(record.room);
+  function unmutePlayer(key) {
+    sessionMutes.delete(key);
+    if (key in mutes) {
+      const { [key]: _, ...rest } = mutes;
+      mutes = rest;
+      saveSettings('mutes');
+    }
+    refreshIdentity(key);
+  }
+
+  /** Drop lapsed mutes and wake up again when the next one ends. */
+  function scheduleMuteExpiry() {
+    clearTimeout(muteTimer);
+    const now = Date.now();
+    const lapsed = Object.keys(mutes).filter(k => mutes[k] <= now);
+    if (lapsed.length) {
+      mutes = Object.fromEntries(Object.entries(mutes).filter(([k]) => !lapsed.includes(k)));
+      saveSettings('mutes');
+      lapsed.forEach(refreshIdentity);
+    }
+    const next = Math.min(...Object.values(mutes));
+    if (Number.isFinite(next)) muteTimer = setTimeout(scheduleMuteExpiry, next - now + 50);
+  }
+
+  function refreshIdentity(key) {
+    vlRefresh(item => item.kind === 'msg'
+      && (identityKey(item.record) === key || item.record.username === key));
+    updateIgnoredCount();
+    if (document.getElementById('cpcl-ignored-modal').classList.contains('cpcl-modal-visible')) renderIgnoredList();
+  }
+
+  /** Older builds keyed entries by name; claim them for the penguin id on sight. */
+  function upgradeLegacyIdentity(record) {
+    if (record.playerId == null) return;
+    const key = identityKey(record);
+    const changed = [];
+    for (const [setting, set] of [['friends', friends], ['ignored', ignored]]) {
+      if (!set.has(record.username) || set.has(key)) continue;
+      set.delete(record.username);
+      set.add(key);
+      changed.push(setting);
+    }
+    if (!changed.length) return;
+    rememberIdentity(key, record.username);
+    saveSettings(...changed);
+  }
+
+  // ── Ignored list ──
+  function openIgnoredList() {
+    document.getElementById('cpcl-ignore-mode').value = ignoreMode;
+    renderIgnoredList();
+    document.getElementById('cpcl-ignored-modal').classList.add('cpcl-modal-visible');
+  }
+
+  function renderIgnoredList() {
+    const label = (k) => identityNames.get(k) || k;
+    const now   = Date.now();
+    const rows  = [
+      ...[...ignored].map(k => ({ key: k, note: 'ignored', action: 'unignore', verb: 'Unignore' })),
+      ...activeMutes().map(k => ({
+        key:    k,
+        note:   sessionMutes.has(k) ? 'muted this session' : `muted for ${Math.max(1, Math.ceil((mutes[k] - now) / 60_000))} min`,
+        action: 'unmute',
+        verb:   'Unmute',
+      })),
+    ].sort((a, b) => label(a.key).localeCompare(label(b.key)));
+
+    document.getElementById('cpcl-ignored-list').innerHTML = rows.length
+      ? rows.map(r => `
+        <div class="cpcl-ignored-row">
+          <span class="cpcl-ignored-name" title="${escHtml(r.key)}">${escHtml(label(r.key))}</span>
+          <span class="cpcl-ignored-note">${escHtml(r.note)}</span>
+          <button class="cpcl-btn cpcl-btn-sm" data-${r.action}="${escHtml(r.key)}">${r.verb}</button>
+        </div>`).join('')
+      : '<div class="cpcl-empty">No ignored or muted players.</div>';
+  }
+
+  function handleIgnoredClick(e) {
+    const unignore = e.target.closest('[data-unignore]');
+    const unmute   = e.target.closest('[data-unmute]');
+    if (unignore) {
+      ignored.delete(unignore.dataset.unignore);
+      saveSettings('ignored');
+      refreshIdentity(unignore.dataset.unignore);
+    } else if (unmute) {
+      unmutePlayer(unmute.dataset.unmute);
+    }
+  }
+
+  // ── Presence lines ──
+
+  const PRESENCE_TYPES = { join: 'present', add: 'enter', remove: 'leave' };
+  const PRESENT_GROUP_MS = 2000; // join_room lists everyone at once
+
+  /** Presence lines only make sense in a plain chronological view. */
+  function presenceVisible() {
+    return showPresence && !searchInput.value
+      && !document.getElementById('cpcl-bookmarks-only').checked;
+  }
+
+  function presencePassesFilters(entry) {
+    const sessionVal = activeSessionFilter();
+    if (serverFilter.value && entry.server !== serverFilter.value) return false;
+    if (roomFilter.value && entry.room !== roomFilter.value) return false;
+    if (sessionVal && entry.session !== sessionVal) return false;
+    return true;
+  }
+
+  /** Collapse the "already here" burst from one room join into a single line. */
+  function groupPresence(entries) {
+    const items = [];
+    for (const entry of entries) {
+      const last = items[items.length - 1];
+      if (entry.type === 'present' && last && last.type === 'present'
+          && last.room === entry.room && entry.timestamp - last.timestamp < PRESENT_GROUP_MS) {
+        last.names.push(entry.name);
+        continue;
+      }
+      items.push({ kind: 'presence', type: entry.type, room: entry.room, timestamp: entry.timestamp, names: [entry.name] });
+    }
+    return items;
+  }
+
+  function presenceText(item) {
+    const names = item.names.join(', ');
+    if (item.type === 'present') return `In ${item.room}: ${names}`;
+    if (item.type === 'enter')   return `\u2192 ${names} entered ${item.room}`;
+    return `\u2190 ${names} left ${item.room}`;
+  }
+
+  function renderPresence(item) {
+    const el = document.createElement('div');
+    el.className = `cpcl-presence cpcl-presence-${item.type}`;
+    el.dataset.room = item.room;
+    el.dataset.timestamp = String(item.timestamp);
+    el.title = new Date(item.timestamp).toLocaleString();
+    el.textContent = `${presenceText(item)} \u00B7 ${formatTime(item.timestamp)}`;
+    return el;
+  }
+
+  /** Live presence: extend the previous "In room" line or add a new one. */
+  function appendPresence(entry) {
+    if (!panelVisible || replayActive || !presenceVisible() || !presencePassesFilters(entry)) return;
+
+    const prev = vlItems[vlItems.length - 1];
+    if (entry.type === 'present' && prev && prev.kind === 'presence' && prev.type === 'present'
+        && prev.room === entry.room && entry.timestamp - prev.timestamp < PRESENT_GROUP_MS) {
+      prev.names.push(entry.name);
+      vlRefresh(item => item === prev);
+      return;
+    }
+    vlAppend(groupPresence([entry])[0]);
+  }
+
+  function addRoomOption(room) {
+    if (allRooms.has(room)) return;
+    allRooms.add(room);
+    const opt = document.createElement('option');
+    opt.value       = room;
+    opt.textContent = room;
+    roomFilter.appendChild(opt);
+  }
+
+  /** Rebuild the room dropdown for the selected server, keeping the selection. */
+  async function refreshRoomOptions() {
+    const selected = roomFilter.value;
+    const rooms    = await dbGetRooms(serverFilter.value || undefined);
+    roomFilter.innerHTML = '<option value="">All rooms</option>';
+    allRooms.clear();
+    rooms.forEach(addRoomOption);
+    if (selected && allRooms.has(selected)) roomFilter.value = selected;
+  }
+
+  /** Fill a server <select> with every server seen, keeping the selection. */
+  async function populateServerSelect(select) {
+    const selected = select.value;
+    const servers  = new Set(await dbGetServers());
+    servers.add(PAGE_SERVER);
+    select.innerHTML = '<option value="">All servers</option>';
+    for (const srv of [...servers].sort()) {
       const opt = document.createElement('option');
-      opt.value       = record.room;
-      opt.textContent = record.room;
-      roomFilter.appendChild(opt);
+      opt.value       = srv;
+      opt.textContent = srv === PAGE_SERVER ? `${srv} (this server)` : srv;
+      select.appendChild(opt);
     }
+    select.value = selected;
+  }
+
+  function appendToPanel(record) {
+    // Update room filter (only rooms belonging to the selected server)
+    const serverVal = serverFilter.value;
+    if (!serverVal || record.server === serverVal) addRoomOption(record.room);
 
     // If panel isn't visible, just update badge
     if (!panelVisible) {
       unreadCount++;
       updateBadge();
-      if (matchesKeyword(record)) {
-        toggleBtn.classList.add('cpcl-alert-flash');
-        setTimeout(() => toggleBtn.classList.remove('cpcl-alert-flash'), 1200);
-      }
       return;
     }
 
@@ -1043,163 +2133,987 @@
     if (replayActive) return;
 
     // Check if it passes current filter
-    const search      = searchInput.value;
-    const roomVal     = roomFilter.value;
-    const sessionOnly = document.getElementById('cpcl-session-only').checked;
-    const bookmarksOnly = document.getElementById('cpcl-bookmarks-only').checked;
+    if (!controlsMatch(currentControls(), record)) return;
+    if (viewedSession && record.session !== viewedSession) return;
 
-    if (search) {
-      if (!matchesSearch(search, record.username, record.message)) return;
-    }
-    if (roomVal && record.room !== roomVal) return;
-    if (sessionOnly && record.session !== SESSION_ID) return;
-    if (bookmarksOnly) {
-      const msgId = record.id != null ? String(record.id) : null;
-      if (!msgId || !bookmarks.has(msgId)) return;
-    }
-
-    const empty = messageList.querySelector('.cpcl-empty');
-    if (empty) empty.remove();
-
-    const el = renderMessage(record);
-
-    if (matchesKeyword(record)) {
-      el.classList.add('cpcl-msg-alert');
-      toggleBtn.classList.add('cpcl-alert-flash');
-      setTimeout(() => toggleBtn.classList.remove('cpcl-alert-flash'), 1200);
-    }
-
-    messageList.appendChild(el);
-    messageList.scrollTop = messageList.scrollHeight;
+    vlAppend(messageItem(record));
     updateCount();
   }
 
-  async function loadHistory() {
-    const search        = searchInput.value;
-    const roomVal       = roomFilter.value;
-    const sessionOnly   = document.getElementById('cpcl-session-only').checked;
-    const bookmarksOnly = document.getElementById('cpcl-bookmarks-only').checked;
+  // ── History paging ──
+  // The list holds the newest page; older pages are fetched on demand from
+  // where the last one stopped, so the full store is never read at once.
+  const HISTORY_PAGE = 500;
+  let historyFilter  = null;
+  let historyCursor  = null;
+  let historyDone    = true;
+  let historyLoading = false;
+
+  /** The filter controls as a plain object — also what a saved search stores. */
+  function currentControls() {
+    return {
+      search:        searchInput.value,
+      regex:         regexMode,
+      match:         document.getElementById('cpcl-search-match').value,
+      sort:          document.getElementById('cpcl-search-sort').value,
+      server:        serverFilter.value,
+      room:          roomFilter.value,
+      sessionOnly:   document.getElementById('cpcl-session-only').checked,
+      bookmarksOnly: document.getElementById('cpcl-bookmarks-only').checked,
+    };
+  }
 
+  /** The background query for a set of controls. */
+  function controlsFilter(c) {
     const filter = {};
-    if (search && !regexMode) filter.search = search;
-    if (roomVal)              filter.room    = roomVal;
-    if (sessionOnly)          filter.session = SESSION_ID;
+    if (c.search && c.regex) {
+      filter.regex = c.search;
+    } else if (c.search) {
+      filter.query = c.search;
+      filter.match = c.match;
+      filter.sort  = c.sort;
+    }
+    if (c.room)          filter.room    = c.room;
+    if (c.sessionOnly)   filter.session = SESSION_ID;
+    if (c.server)        filter.server  = c.server;
+    if (c.bookmarksOnly) filter.ids     = [...bookmarks];
+    return filter;
+  }
 
-    let records = await dbGetAll(filter);
+  /** Would a live record pass these controls? */
+  function controlsMatch(c, record) {
+    if (c.server && record.server !== c.server) return false;
+    if (c.room && record.room !== c.room) return false;
+    if (c.sessionOnly && record.session !== SESSION_ID) return false;
+    if (c.bookmarksOnly && !(record.id != null && bookmarks.has(String(record.id)))) return false;
+    return !c.search || matchesSearch(c.search, record, c.regex, c.match);
+  }
 
-    // Apply regex filter if in regex mode
-    if (search && regexMode) {
-      records = records.filter(r => matchesSearch(search, r.username, r.message));
-    }
+  /** The message query described by the current filter controls. */
+  function currentFilter() {
+    const filter  = controlsFilter(currentControls());
+    const session = activeSessionFilter();
+    if (session) filter.session = session;
+    // The list hides or dims them itself, so unignoring needs no refetch
+    filter.includeIgnored = true;
+    return filter;
+  }
 
-    // Apply bookmarks filter
-    if (bookmarksOnly) {
-      records = records.filter(r => r.id != null && bookmarks.has(String(r.id)));
+  /** List items for a page of messages plus (optionally) presence lines in [from, to]. */
+  async function historyItems(records, from, to) {
+    let items = records.map(messageItem);
+    if (presenceVisible()) {
+      const presence = groupPresence(await dbGetPresence({
+        from, to,
+        server:  historyFilter.server,
+        room:    historyFilter.room,
+        session: historyFilter.session,
+      }));
+      items = [...items, ...presence].sort((a, b) => a.timestamp - b.timestamp);
     }
+    return withDateSeparators(items);
+  }
 
-    messageList.innerHTML = '';
-
-    if (records.length === 0) {
-      messageList.innerHTML = '<div class="cpcl-empty">No messages match \u2014 try adjusting your filters.</div>';
+  async function loadHistory() {
+    const filter = historyFilter = currentFilter();
+    historyLoading = false;
+    if (filter.query) namedKeys(parseQuery(filter.query).clauses); // ready for live messages
+    const page = await dbQuery(filter, { limit: HISTORY_PAGE });
+    if (filter !== historyFilter) return; // a newer keystroke or filter change won
+    messageList.classList.toggle('cpcl-list-results', isResultsView());
+    historyCursor = page.cursor;
+    historyDone   = page.done;
+
+    if (page.records.length === 0) {
+      vlSetEmpty('No messages match \u2014 try adjusting your filters.');
       updateCount(0);
       return;
     }
 
-    // Group by date
-    let lastDate = '';
-    const frag = document.createDocumentFragment();
-    for (const r of records) {
-      const dateStr = new Date(r.timestamp).toDateString();
-      if (dateStr !== lastDate) {
-        const sep = document.createElement('div');
-        sep.className   = 'cpcl-date-sep';
-        sep.textContent = formatDate(r.timestamp);
-        frag.appendChild(sep);
-        lastDate = dateStr;
-      }
-      frag.appendChild(renderMessage(r));
-    }
-    messageList.appendChild(frag);
-    messageList.scrollTop = messageList.scrollHeight;
-    updateCount(records.length);
+    vlSetItems(await historyItems(page.records, page.records[0].timestamp, Date.now()));
+    updateCount();
 
-    // Populate rooms
-    const rooms = await dbGetRooms();
-    const existing = new Set([...roomFilter.options].map(o => o.value).filter(Boolean));
-    for (const r of rooms) {
-      if (!existing.has(r)) {
-        const opt = document.createElement('option');
-        opt.value = r; opt.textContent = r;
-        roomFilter.appendChild(opt);
-      }
+    // Populate server & room dropdowns
+    await populateServerSelect(serverFilter);
+    await refreshRoomOptions();
+  }
+
+  /** Prepend the next older page; the virtual list keeps the view where it is. */
+  async function loadOlder() {
+    if (historyDone || historyLoading || !historyFilter) return;
+    const filter     = historyFilter;
+    const prevOldest = historyCursor.timestamp;
+    historyLoading = true;
+    const page = await dbQuery(filter, { limit: HISTORY_PAGE, cursor: historyCursor });
+    if (filter !== historyFilter) return; // filters changed while loading
+
+    historyCursor = page.cursor;
+    historyDone   = page.done;
+    if (page.records.length > 0) {
+      const items = await historyItems(page.records, page.records[0].timestamp, prevOldest - 1);
+      if (filter !== historyFilter) return;
+      vlPrepend(items);
     }
+    historyLoading = false;
+    updateCount();
   }
 
   function handleFilter() {
     if (replayActive) exitReplay();
+    if (contextView) closeContext(false);
     loadHistory();
+    trackActivePreset();
   }
 
   async function handleClear() {
     if (!confirm('Clear ALL saved chat history? This cannot be undone.')) return;
     await dbClear();
-    messageList.innerHTML = '<div class="cpcl-empty">History cleared.</div>';
+    historyDone = true;
+    vlSetEmpty('History cleared.');
     updateCount(0);
     roomFilter.innerHTML  = '<option value="">All rooms</option>';
     allRooms.clear();
   }
 
   async function handleExport() {
-    // Populate export modal room dropdown
-    const exportRoomSelect = document.getElementById('cpcl-export-room');
-    exportRoomSelect.innerHTML = '<option value="">All rooms</option>';
-    const rooms = await dbGetRooms();
-    for (const r of rooms) {
-      const opt = document.createElement('option');
-      opt.value = r;
-      opt.textContent = r;
-      exportRoomSelect.appendChild(opt);
-    }
+    // Populate export modal server & room dropdowns (defaulting to the panel's server filter)
+    const exportServerSelect = document.getElementById('cpcl-export-server');
+    exportServerSelect.value = serverFilter.value;
+    await populateServerSelect(exportServerSelect);
+    await refreshExportRooms();
 
     // Reset fields
     document.getElementById('cpcl-export-from').value   = '';
     document.getElementById('cpcl-export-to').value     = '';
     document.getElementById('cpcl-export-player').value = '';
+    document.getElementById('cpcl-export-ignored').checked = false;
+    document.getElementById('cpcl-export-query').value  = regexMode ? '' : searchInput.value.trim();
+    const exportPresetSelect = document.getElementById('cpcl-export-preset');
+    exportPresetSelect.innerHTML = '<option value="">No saved search</option>'
+      + presets.map(p => `<option value="${escHtml(p.id)}">${escHtml(p.name)}</option>`).join('');
     document.getElementById('cpcl-export-format').value = 'txt';
 
     // Show modal
     document.getElementById('cpcl-export-modal').classList.add('cpcl-modal-visible');
   }
 
+  async function refreshExportRooms() {
+    const exportRoomSelect = document.getElementById('cpcl-export-room');
+    exportRoomSelect.innerHTML = '<option value="">All rooms</option>';
+    const rooms = await dbGetRooms(document.getElementById('cpcl-export-server').value || undefined);
+    for (const r of rooms) {
+      const opt = document.createElement('option');
+      opt.value = r;
+      opt.textContent = r;
+      exportRoomSelect.appendChild(opt);
+    }
+  }
+
   function closeExportModal() {
     document.getElementById('cpcl-export-modal').classList.remove('cpcl-modal-visible');
   }
 
+  // ─── Mentions ─────────────────────────────────────────────────────────────
+  // hook.js records who a message mentions (record.mentions: @names and bare
+  // names from its player registry). Mentions of any name we've logged in
+  // as are highlighted too, including in history captured before the hook
+  // tracked mentions.
+
+  const ownNames = new Set();
+
+  function addOwnName(name) {
+    if (!name || /^Penguin #\d+$/.test(name) || ownNames.has(name)) return;
+    ownNames.add(name);
+    vlRefresh(item => item.kind === 'msg');
+  }
+
+  async function loadOwnNames() {
+    for (const session of await dbGetSessions()) addOwnName(session.ownUsername);
+  }
+
+  function escRegex(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /** Message HTML with mentions marked, and whether one of them is us. */
+  function mentionMarkup(record) {
+    const html  = escHtml(record.message);
+    const kinds = new Map(); // escaped lower-cased name -> is it us?
+    for (const m of record.mentions || []) kinds.set(escHtml(m.name).toLowerCase(), false);
+    for (const n of ownNames) kinds.set(escHtml(n).toLowerCase(), true);
+    if (!kinds.size) return { html, me: false };
+
+    const names = [...kinds.keys()].sort((a, b) => b.length - a.length).map(escRegex);
+    const re = new RegExp(`(^|[^\\p{L}\\p{N}_])(@?)(${names.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+    let me = false;
+    const marked = html.replace(re, (match, pre, at, name) => {
+      const isMe = kinds.get(name.toLowerCase());
+      if (isMe && record.direction !== 'out') me = true;
+      return `${pre}<span class="cpcl-mention${isMe ? ' cpcl-mention-me' : ''}">${at}${name}</span>`;
+    });
+    return { html: marked, me };
+  }
+
+  // ─── Conversation threads ─────────────────────────────────────────────────
+  // A mention links penguins in a room; after that, any of them speaking in
+  // the same room and session within THREAD_WINDOW_MS of the thread's last
+  // message continues it. Threads are worked out over the loaded list (so
+  // they follow the current filter) and shown once two penguins have spoken:
+  // a coloured edge on each message and a bar on the first to collapse the rest.
+
+  const THREAD_WINDOW_MS = 2 * 60_000;
+  let showThreads = true; // synced setting
+  const collapsedThreads = new Set(); // thread ids
+  let threadRooms = new Map();        // "server|session|room" -> threads still open there
+
+  function threadVisible(t) {
+    return t.speakers.size >= 2;
+  }
+
+  function threadPeople(r) {
+    const server = r.server || PAGE_SERVER;
+    return {
+      sender:    { key: identityKey(r), names: [r.username, r.currentName].filter(Boolean).map(foldText) },
+      mentioned: (r.mentions || []).map(m => ({ key: m.id != null ? `${server}#${m.id}` : null, names: [foldText(m.name)] })),
+    };
+  }
+
+  function inThread(t, person) {
+    return (person.key && t.keys.has(person.key)) || person.names.some(n => t.names.has(n));
+  }
+
+  /** Place a message in the thread it continues, or start one if it mentions someone. */
+  function threadMessage(item) {
+    item.thread = null;
+    if (!showThreads) return null;
+    const r    = item.record;
+    const room = `${r.server || PAGE_SERVER}|${r.session}|${r.room}`;
+    const open = (threadRooms.get(room) || []).filter(t => r.timestamp - t.last <= THREAD_WINDOW_MS);
+    threadRooms.set(room, open);
+
+    const { sender, mentioned } = threadPeople(r);
+    let thread = null;
+    for (let i = open.length - 1; i >= 0 && !thread; i--) {
+      if (inThread(open[i], sender) || mentioned.some(p => inThread(open[i], p))) thread = open[i];
+    }
+    if (!thread) {
+      if (!mentioned.length) return null;
+      thread = {
+        id:       r.id != null ? String(r.id) : `${r.timestamp}|${r.username}`,
+        items:    [],
+        keys:     new Set(),
+        names:    new Set(),
+        speakers: new Map(), // identity key -> display name
+        last:     0,
+      };
+      open.push(thread);
+    }
+    for (const p of [sender, ...mentioned]) {
+      if (p.key) thread.keys.add(p.key);
+      p.names.forEach(n => thread.names.add(n));
+    }
+    thread.speakers.set(sender.key, r.currentName || r.username);
+    thread.items.push(item);
+    thread.last = r.timestamp;
+    item.thread = thread;
+    return thread;
+  }
+
+  function threadItems(items) {
+    threadRooms = new Map();
+    for (const item of items) if (item.kind === 'msg') threadMessage(item);
+  }
+
+  function decorateThread(el, item) {
+    const t = item.thread;
+    if (!t || !threadVisible(t)) return;
+    el.classList.add('cpcl-msg-threaded');
+    el.style.setProperty('--cpcl-thread-color', usernameColor(t.id));
+    const collapsed = collapsedThreads.has(t.id);
+    if (t.items[0] !== item) {
+      if (collapsed) el.classList.add('cpcl-msg-collapsed');
+      return;
+    }
+    const bar = document.createElement('div');
+    bar.className      = 'cpcl-thread-bar';
+    bar.dataset.thread = t.id;
+    bar.textContent    = `\u{1F9F5} ${[...t.speakers.values()].join(' \u2194 ')} \u00B7 ${t.items.length} messages `
+      + (collapsed ? `\u25B8 show ${t.items.length - 1} more` : '\u25BE collapse');
+    el.appendChild(bar);
+  }
+
+  function toggleThread(id) {
+    if (collapsedThreads.has(id)) collapsedThreads.delete(id);
+    else collapsedThreads.add(id);
+    vlRefresh(item => item.thread && item.thread.id === id);
+  }
+
+  // ─── Context view ─────────────────────────────────────────────────────────
+  // Clicking a search result swaps the list for the conversation around it:
+  // the same room and session, CONTEXT_STEP messages either side, widened on
+  // demand. The filtered list stays as it was underneath, so "Back" returns
+  // to the same place in it.
+
+  const CONTEXT_STEP = 10;
+  const CONTEXT_MAX  = 200;
+  let contextView = null; // { id, before, after, returnTop }
+
+  /** Is the list showing search or bookmark results rather than the plain log? */
+  function isResultsView() {
+    return !!searchInput.value.trim() || document.getElementById('cpcl-bookmarks-only').checked;
+  }
+
+  async function openContext(id, before = CONTEXT_STEP, after = CONTEXT_STEP) {
+    if (!id) return;
+    const ctx = await dbGetContext(id, before, after);
+    if (!ctx) return;
+    const list   = document.getElementById('cpcl-context-list');
+    const widen  = contextView && contextView.id === id;
+    const grewUp = widen && before > contextView.before;
+    const bottom = list.scrollHeight - list.scrollTop;
+    if (!contextView) contextView = { returnTop: messageList.scrollTop };
+    Object.assign(contextView, { id, before, after });
+
+    const hit = ctx.records.find(r => r.id === ctx.hit);
+    document.getElementById('cpcl-context-title').textContent =
+      `${hit.room} \u00B7 ${formatDate(hit.timestamp)} ${formatTime(hit.timestamp)}`;
+    list.innerHTML = '';
+    if (ctx.moreBefore && before < CONTEXT_MAX) list.appendChild(widenButton('before', 'Show earlier'));
+    for (const item of withDateSeparators(ctx.records.map(messageItem))) {
+      const el = renderListItem(item);
+      if (item.record && item.record.id === ctx.hit) el.classList.add('cpcl-msg-hit');
+      list.appendChild(el);
+    }
+    if (ctx.moreAfter && after < CONTEXT_MAX) list.appendChild(widenButton('after', 'Show later'));
+
+    messageList.style.display = 'none';
+    document.getElementById('cpcl-context').style.display = '';
+    if (!widen) list.querySelector('.cpcl-msg-hit').scrollIntoView({ block: 'center' });
+    else if (grewUp) list.scrollTop = list.scrollHeight - bottom; // hold the view while rows land above it
+  }
+
+  function widenButton(side, label) {
+    const btn = document.createElement('button');
+    btn.className      = 'cpcl-btn cpcl-btn-sm cpcl-context-more';
+    btn.dataset.widen  = side;
+    btn.textContent    = `${side === 'before' ? '\u2191' : '\u2193'} ${label}`;
+    return btn;
+  }
+
+  /** Hide the context view; `restore` puts the filtered list back where it was. */
+  function closeContext(restore = true) {
+    if (!contextView) return;
+    const { returnTop } = contextView;
+    contextView = null;
+    document.getElementById('cpcl-context').style.display = 'none';
+    document.getElementById('cpcl-context-list').innerHTML = '';
+    messageList.style.display = '';
+    if (restore) messageList.scrollTop = returnTop;
+    vlRender();
+  }
+
+  // ─── Saved searches ───────────────────────────────────────────────────────
+  // A preset is a named snapshot of the filter controls (currentControls).
+  // Each chip counts messages that matched it since it was last open: seeded
+  // from the store on load, then bumped as live messages arrive.
+
+  const UNREAD_CAP  = 99;
+  const PRESET_FIELDS = ['search', 'regex', 'match', 'server', 'room', 'sessionOnly', 'bookmarksOnly'];
+
+  let presets = []; // a synced setting: the same saved searches on every server
+  const presetUnread = new Map(); // id -> count since seenAt
+  let activePresetId = null;
+
+  function savePresets() {
+    saveSettings('presets');
+  }
+
+  function sameControls(a, b) {
+    return PRESET_FIELDS.every(k => (k === 'search'
+      ? (a.search || '').trim() === (b.search || '').trim()
+      : (a[k] || '') === (b[k] || '')));
+  }
+
+  function renderPresets() {
+    const el = document.getElementById('cpcl-presets');
+    if (!el) return;
+    el.innerHTML = presets.map((p) => {
+      const n = presetUnread.get(p.id) || 0;
+      return `
+        <span class="cpcl-preset-chip${p.id === activePresetId ? ' active' : ''}" data-id="${escHtml(p.id)}"
+              title="${escHtml(p.search || '(no search text)')}">
+          <span class="cpcl-preset-name">${escHtml(p.name)}</span>
+          ${n ? `<span class="cpcl-preset-unread">${n > UNREAD_CAP ? `${UNREAD_CAP}+` : n}</span>` : ''}
+          <button class="cpcl-preset-remove" data-remove="${escHtml(p.id)}" title="Delete saved search">✕</button>
+        </span>`;
+    }).join('') + `<button class="cpcl-preset-save" id="cpcl-preset-save" title="Save the current filters">+ Save search</button>`;
+  }
+
+  function handlePresetClick(e) {
+    if (e.target.closest('#cpcl-preset-save')) return saveCurrentPreset();
+    const remove = e.target.closest('[data-remove]');
+    if (remove) return removePreset(remove.dataset.remove);
+    const chip = e.target.closest('.cpcl-preset-chip');
+    if (chip) applyPreset(presets.find(p => p.id === chip.dataset.id));
+  }
+
+  function saveCurrentPreset() {
+    const controls = currentControls();
+    const name = prompt('Name this saved search:', controls.search.trim() || roomFilter.value || 'My search');
+    if (!name || !name.trim()) return;
+    const existing = presets.find(p => p.name === name.trim());
+    const preset = {
+      ...controls,
+      search: controls.search.trim(),
+      id:     existing ? existing.id : `p${Date.now().toString(36)}`,
+      name:   name.trim(),
+      seenAt: Date.now(),
+    };
+    presets = existing ? presets.map(p => p === existing ? preset : p) : [...presets, preset];
+    presetUnread.set(preset.id, 0);
+    savePresets();
+    trackActivePreset();
+  }
+
+  function removePreset(id) {
+    const preset = presets.find(p => p.id === id);
+    if (!preset || !confirm(`Delete saved search "${preset.name}"?`)) return;
+    presets = presets.filter(p => p !== preset);
+    presetUnread.delete(id);
+    savePresets();
+    trackActivePreset();
+  }
+
+  async function applyPreset(preset) {
+    if (!preset) return;
+    if (activeTab !== 'chat') switchTab('chat');
+    searchInput.value = preset.search || '';
+    regexMode = !!preset.regex;
+    document.getElementById('cpcl-regex-toggle').classList.toggle('active', regexMode);
+    document.getElementById('cpcl-search-match').value = preset.match || 'all';
+    document.getElementById('cpcl-search-sort').value  = preset.sort || 'recent';
+    document.getElementById('cpcl-session-only').checked   = !!preset.sessionOnly;
+    document.getElementById('cpcl-bookmarks-only').checked = !!preset.bookmarksOnly;
+    viewedSession = null;
+    updateSessionChip();
+    if (serverFilter.value !== (preset.server || '')) {
+      if (preset.server && ![...serverFilter.options].some(o => o.value === preset.server)) {
+        serverFilter.add(new Option(preset.server, preset.server));
+      }
+      serverFilter.value = preset.server || '';
+      await refreshRoomOptions();
+    }
+    if (preset.room) addRoomOption(preset.room);
+    roomFilter.value = preset.room || '';
+    handleFilter();
+  }
+
+  function markPresetSeen(id) {
+    const preset = presets.find(p => p.id === id);
+    if (!preset) return;
+    preset.seenAt = Date.now();
+    presetUnread.set(id, 0);
+    savePresets();
+  }
+
+  /** Note which preset (if any) the controls now show; leaving one marks it read. */
+  function trackActivePreset() {
+    const controls = currentControls();
+    const active   = viewedSession ? null : presets.find(p => sameControls(p, controls));
+    const id       = active ? active.id : null;
+    if (id !== activePresetId) {
+      markPresetSeen(activePresetId);
+      markPresetSeen(id);
+      activePresetId = id;
+    }
+    renderPresets();
+  }
+
+  async function seedPresetUnread(list = presets) {
+    await Promise.all(list.map(async (p) => {
+      const filter = { ...controlsFilter(p), from: p.seenAt || 0 };
+      delete filter.sort; // counting, not ranking
+      const page = await dbQuery(filter, { limit: UNREAD_CAP + 1 });
+      presetUnread.set(p.id, page.records.length);
+    }));
+    renderPresets();
+  }
+
+  function countPresetUnread(record) {
+    let changed = false;
+    for (const p of presets) {
+      // Messages arriving in the open preset are read as they land
+      if (p.id === activePresetId && panelVisible && activeTab === 'chat') continue;
+      if (!controlsMatch(p, record)) continue;
+      presetUnread.set(p.id, (presetUnread.get(p.id) || 0) + 1);
+      changed = true;
+    }
+    if (changed) renderPresets();
+  }
+
+  async function applyExportPreset() {
+    const preset = presets.find(p => p.id === document.getElementById('cpcl-export-preset').value);
+    if (!preset) return;
+    const exportServerSelect = document.getElementById('cpcl-export-server');
+    exportServerSelect.value = preset.server || '';
+    await refreshExportRooms();
+    const exportRoomSelect = document.getElementById('cpcl-export-room');
+    if (preset.room && ![...exportRoomSelect.options].some(o => o.value === preset.room)) {
+      exportRoomSelect.add(new Option(preset.room, preset.room));
+    }
+    exportRoomSelect.value = preset.room || '';
+    document.getElementById('cpcl-export-query').value = preset.regex ? '' : (preset.search || '');
+  }
+
+  // ─── Alert rules ──────────────────────────────────────────────────────────
+  // A rule fires when a message meets every condition it sets (text or
+  // regex, player, room, server, type, direction) and picks its own actions.
+  // Quiet hours and each rule's cooldown hold back the noisy actions (sound,
+  // badge, desktop notification) but never the highlight or auto-bookmark,
+  // so one spammer can't cause an alert storm and nothing is lost either.
+
+  const ALERT_COLORS = {
+    red:    '#ff5050',
+    yellow: '#ffd84a',
+    green:  '#5eff5e',
+    blue:   '#4ac8ff',
+    purple: '#c77dff',
+  };
+  const ALERT_CONDITIONS = ['text', 'player', 'room', 'server', 'type', 'direction'];
+
+  function newAlertRule(fields = {}) {
+    return {
+      id:        `r${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name:      '',
+      enabled:   true,
+      text:      '',
+      regex:     false,
+      player:    '',
+      playerKey: '', // "server#id" when the rule was made from a player
+      room:      '',
+      server:    '',
+      type:      '',
+      direction: '',
+      color:     'red',
+      sound:     false,
+      badge:     true,
+      notify:    false,
+      bookmark:  false,
+      cooldown:  30, // seconds
+      ...fields,
+    };
+  }
+
+  let alertRules = [];
+  let quietHours = { enabled: false, start: '22:00', end: '08:00' };
+  const alertLastFired = new Map(); // rule id -> when its noisy actions last ran
+  const alertRegexes   = new Map(); // pattern -> RegExp, or null if invalid
+  let alertDraft = [];              // rules being edited in the modal
+  let alertAudio = null;
+
+  function ruleRegex(pattern) {
+    if (!alertRegexes.has(pattern)) {
+      let re = null;
+      try { re = new RegExp(pattern, 'i'); } catch (_) {}
+      alertRegexes.set(pattern, re);
+    }
+    return alertRegexes.get(pattern);
+  }
+
+  function sameText(a, b) {
+    return String(a || '').toLowerCase() === b.trim().toLowerCase();
+  }
+
+  /**
+   * A rule made from a player follows that penguin through renames and past
+   * anyone else using the name; a typed name, or a sender with no id, goes
+   * by name.
+   */
+  function rulePlayerMatches(rule, record) {
+    if (rule.playerKey && record.playerId != null) return identityKey(record) === rule.playerKey;
+    return sameText(record.username, rule.player);
+  }
+
+  function ruleMatches(rule, record) {
+    if (!rule.enabled || !ALERT_CONDITIONS.some(k => rule[k])) return false;
+    if (rule.text) {
+      if (rule.regex) {
+        const re = ruleRegex(rule.text);
+        if (!re || !(re.test(record.message) || re.test(record.username))) return false;
+      } else {
+        const needle = rule.text.toLowerCase();
+        if (!(record.message.toLowerCase().includes(needle) || String(record.username || '').toLowerCase().includes(needle))) return false;
+      }
+    }
+    if (rule.player && !rulePlayerMatches(rule, record)) return false;
+    if (rule.room   && !sameText(record.room, rule.room))     return false;
+    if (rule.server && !sameText(record.server, rule.server)) return false;
+    if (rule.type   && !(TYPE_EVENTS[rule.type] || []).includes(record.eventName)) return false;
+    if (rule.direction && record.direction !== rule.direction) return false;
+    return true;
+  }
+
+  function matchAlertRules(record) {
+    return alertRules.filter(rule => ruleMatches(rule, record));
+  }
+
+  function minutesOf(hhmm) {
+    const [h, m] = String(hhmm || '').split(':').map(Number);
+    return (h || 0) * 60 + (m || 0);
+  }
+
+  function inQuietHours(date = new Date()) {
+    if (!quietHours.enabled) return false;
+    const now   = date.getHours() * 60 + date.getMinutes();
+    const start = minutesOf(quietHours.start);
+    const end   = minutesOf(quietHours.end);
+    // A window like 22:00–08:00 wraps past midnight
+    return start <= end ? now >= start && now < end : now >= start || now < end;
+  }
+
+  /**
+   * Run the actions of every rule that matched a stored message.
+   * Returns whether a desktop notification went out for it.
+   */
+  function fireAlertActions(record, rules) {
+    const quiet = inQuietHours();
+    const now   = Date.now();
+    let badgeHit = false, soundHit = false, notifyHit = null;
+
+    for (const rule of rules) {
+      if (rule.bookmark && record.id != null && !bookmarks.has(String(record.id))) {
+        bookmarks.add(String(record.id));
+        saveBookmarks();
+      }
+      if (quiet || !(rule.badge || rule.sound || rule.notify)) continue;
+      if (now - (alertLastFired.get(rule.id) || 0) < (rule.cooldown || 0) * 1000) continue;
+      alertLastFired.set(rule.id, now);
+
+      if (rule.badge) badgeHit = true;
+      if (rule.sound) soundHit = true;
+      if (rule.notify && !notifyHit) notifyHit = rule;
+    }
+
+    if (badgeHit) {
+      if (!panelVisible) badge.classList.add('cpcl-badge-alert');
+      toggleBtn.classList.add('cpcl-alert-flash');
+      setTimeout(() => toggleBtn.classList.remove('cpcl-alert-flash'), 1200);
+    }
+    if (soundHit) playAlertSound();
+    return !!notifyHit && desktopNotify(`${notifyHit.name || 'Chat alert'}: ${record.username}`, record.message, record);
+  }
+
+  function playAlertSound() {
+    try {
+      alertAudio = alertAudio || new AudioContext();
+      const t    = alertAudio.currentTime;
+      const osc  = alertAudio.createOscillator();
+      const gain = alertAudio.createGain();
+      osc.frequency.setValueAtTime(880, t);
+      osc.frequency.setValueAtTime(1320, t + 0.12);
+      gain.gain.setValueAtTime(0.15, t);
+      gain.gain.exponentialRampToValueAtTime(0.001, t + 0.3);
+      osc.connect(gain).connect(alertAudio.destination);
+      osc.start(t);
+      osc.stop(t + 0.3);
+    } catch (_) {}
+  }
+
+  // ── Editor ──
+
+  function openAlertRules(added) {
+    alertDraft = alertRules.map(rule => ({ ...rule }));
+    if (added) alertDraft.push(added);
+    renderAlertRules();
+    document.getElementById('cpcl-quiet-enabled').checked = quietHours.enabled;
+    document.getElementById('cpcl-quiet-start').value     = quietHours.start;
+    document.getElementById('cpcl-quiet-end').value       = quietHours.end;
+    document.getElementById('cpcl-notify-friends').checked  = notifyPrefs.friends;
+    document.getElementById('cpcl-notify-mentions').checked = notifyPrefs.mentions;
+    document.getElementById('cpcl-alerts-modal').classList.add('cpcl-modal-visible');
+  }
+
+  function closeAlertRules() {
+    document.getElementById('cpcl-alerts-modal').classList.remove('cpcl-modal-visible');
+  }
+
+  function renderAlertRules() {
+    const el = document.getElementById('cpcl-alert-rules');
+    if (!alertDraft.length) {
+      el.innerHTML = '<div class="cpcl-empty">No alert rules yet.</div>';
+      return;
+    }
+    const options = (list, value) => list
+      .map(([v, label]) => `<option value="${v}"${v === value ? ' selected' : ''}>${label}</option>`).join('');
+    const check = (rule, field, label, title) => `
+      <label class="cpcl-session-label" title="${title}">
+        <input type="checkbox" data-field="${field}"${rule[field] ? ' checked' : ''}> ${label}
+      </label>`;
+    const text = (rule, field, placeholder, title = '') =>
+      `<input type="text" class="cpcl-input" data-field="${field}" value="${escHtml(rule[field] || '')}" placeholder="${placeholder}" title="${title}" spellcheck="false">`;
+
+    el.innerHTML = alertDraft.map((rule, i) => `
+      <div class="cpcl-alert-rule${rule.enabled ? '' : ' cpcl-alert-rule-off'}" data-i="${i}">
+        <div class="cpcl-alert-rule-head">
+          <input type="checkbox" data-field="enabled" title="Enabled"${rule.enabled ? ' checked' : ''}>
+          ${text(rule, 'name', 'Rule name')}
+          <button class="cpcl-btn cpcl-btn-sm" data-remove-rule="${i}" title="Delete rule">\u2715</button>
+        </div>
+        <div class="cpcl-alert-rule-grid">
+          <div class="cpcl-alert-text">
+            ${text(rule, 'text', 'Keyword or pattern')}
+            ${check(rule, 'regex', '.*', 'Treat as a regular expression')}
+          </div>
+          ${text(rule, 'player', 'Player', rule.playerKey ? 'This penguin, whatever they are called' : '')}
+          ${text(rule, 'room', 'Room')}
+          ${text(rule, 'server', 'Server')}
+          <select class="cpcl-input cpcl-select" data-field="type">
+            ${options([['', 'Any type'], ...Object.keys(TYPE_EVENTS).map(t => [t, t])], rule.type)}
+          </select>
+          <select class="cpcl-input cpcl-select" data-field="direction">
+            ${options([['', 'Any direction'], ['in', 'Received'], ['out', 'Sent']], rule.direction)}
+          </select>
+        </div>
+        <div class="cpcl-alert-rule-actions">
+          <select class="cpcl-input cpcl-select" data-field="color" title="Highlight colour">
+            ${options([['none', 'No highlight'], ...Object.keys(ALERT_COLORS).map(c => [c, c])], rule.color || 'none')}
+          </select>
+          ${check(rule, 'sound', '\u{1F50A}', 'Play a sound')}
+          ${check(rule, 'badge', '\u{1F534}', 'Flash the chat button')}
+          ${check(rule, 'notify', '\u{1F5A5}', 'Desktop notification while the game is in the background')}
+          ${check(rule, 'bookmark', '\u2605', 'Bookmark the message')}
+          <input type="number" min="0" step="5" class="cpcl-input cpcl-alert-cooldown" data-field="cooldown"
+                 value="${rule.cooldown || 0}" title="Seconds before this rule can sound, flash or notify again">
+          <span class="cpcl-retention-hint">s</span>
+        </div>
+      </div>`).join('');
+    for (const input of el.querySelectorAll('[data-field="text"]')) markRuleRegex(input);
+  }
+
+  function markRuleRegex(input) {
+    const rule = alertDraft[Number(input.closest('.cpcl-alert-rule').dataset.i)];
+    input.classList.toggle('cpcl-input-error', !!(rule.regex && rule.text && !ruleRegex(rule.text)));
+  }
+
+  function handleAlertRuleInput(e) {
+    const field = e.target.dataset.field;
+    const card  = e.target.closest('.cpcl-alert-rule');
+    if (!field || !card) return;
+    const rule = alertDraft[Number(card.dataset.i)];
+    if (e.target.type === 'checkbox')    rule[field] = e.target.checked;
+    else if (e.target.type === 'number') rule[field] = Math.max(0, parseInt(e.target.value, 10) || 0);
+    else rule[field] = field === 'color' && e.target.value === 'none' ? '' : e.target.value;
+
+    if (field === 'player') rule.playerKey = ''; // retyped: a name now, not that penguin
+    if (field === 'enabled') card.classList.toggle('cpcl-alert-rule-off', !rule.enabled);
+    if (field === 'text' || field === 'regex') markRuleRegex(card.querySelector('[data-field="text"]'));
+  }
+
+  function saveAlertRulesForm() {
+    alertRules = alertDraft.map(rule => ({ ...rule, name: rule.name.trim() || rule.text.trim() }));
+    quietHours = {
+      enabled: document.getElementById('cpcl-quiet-enabled').checked,
+      start:   document.getElementById('cpcl-quiet-start').value || '22:00',
+      end:     document.getElementById('cpcl-quiet-end').value || '08:00',
+    };
+    notifyPrefs = {
+      friends:  document.getElementById('cpcl-notify-friends').checked,
+      mentions: document.getElementById('cpcl-notify-mentions').checked,
+    };
+    saveSettings('alertRules', 'quietHours', 'notifyPrefs');
+    closeAlertRules();
+  }
+
+  // ─── Retention ────────────────────────────────────────────────────────────
+
+  const RETENTION_FIELDS = {
+    maxCount:     'cpcl-ret-count',
+    maxAgeDays:   'cpcl-ret-age',
+    maxPerRoom:   'cpcl-ret-room',
+    maxPerServer: 'cpcl-ret-server',
+  };
+  let previewTimer = null;
+
+  function formatBytes(n) {
+    if (n < 1024) return `${n} B`;
+    const units = ['KB', 'MB', 'GB', 'TB'];
+    let i = -1;
+    do { n /= 1024; i++; } while (n >= 1024 && i < units.length - 1);
+    return `${n.toFixed(n < 10 ? 1 : 0)} ${units[i]}`;
+  }
+
+  async function openRetention() {
+    document.getElementById('cpcl-retention-modal').classList.add('cpcl-modal-visible');
+    const info = await sendToBackground('retention:get');
+    if (!info) {
+      document.getElementById('cpcl-storage-text').textContent = 'Background store unavailable.';
+      return;
+    }
+
+    for (const [field, id] of Object.entries(RETENTION_FIELDS)) {
+      document.getElementById(id).value = info.policy[field];
+    }
+    document.getElementById('cpcl-ret-bookmarked').checked = info.policy.keepBookmarked;
+    document.getElementById('cpcl-ret-friends').checked    = info.policy.keepFriends;
+
+    const fill = document.getElementById('cpcl-storage-fill');
+    const text = document.getElementById('cpcl-storage-text');
+    if (info.storage && info.storage.quota) {
+      const pct = Math.min(100, (info.storage.usage / info.storage.quota) * 100);
+      fill.style.width = `${Math.max(pct, 1)}%`;
+      text.textContent = `${formatBytes(info.storage.usage)} of ${formatBytes(info.storage.quota)} used (${pct.toFixed(pct < 1 ? 2 : 0)}%)`;
+    } else {
+      fill.style.width = '0';
+      text.textContent = 'Storage usage is not available in this browser.';
+    }
+
+    previewRetention();
+  }
+
+  function closeRetention() {
+    clearTimeout(previewTimer);
+    document.getElementById('cpcl-retention-modal').classList.remove('cpcl-modal-visible');
+  }
+
+  function readRetentionForm() {
+    const policy = {};
+    for (const [field, id] of Object.entries(RETENTION_FIELDS)) {
+      policy[field] = Math.max(0, parseInt(document.getElementById(id).value, 10) || 0);
+    }
+    policy.keepBookmarked = document.getElementById('cpcl-ret-bookmarked').checked;
+    policy.keepFriends    = document.getElementById('cpcl-ret-friends').checked;
+    return policy;
+  }
+
+  function schedulePreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(previewRetention, 400);
+  }
+
+  /** What the policy in the form would delete, without deleting anything. */
+  async function previewRetention() {
+    const el = document.getElementById('cpcl-retention-preview');
+    el.textContent = 'Calculating\u2026';
+    const preview = await sendToBackground('retention:preview', { policy: readRetentionForm() });
+    if (!preview) { el.textContent = 'Preview unavailable.'; return; }
+
+    const kept = `${preview.total.toLocaleString()} stored, ${preview.protected.toLocaleString()} protected`;
+    if (preview.remove === 0) {
+      el.innerHTML = `Nothing to remove. <span class="cpcl-retention-hint">${escHtml(kept)}</span>`;
+      return;
+    }
+    const span  = `${formatDate(preview.oldest)} \u2013 ${formatDate(preview.newest)}`;
+    const rooms = preview.rooms.map(([room, n]) => `${escHtml(room)}: ${n.toLocaleString()}`).join(', ');
+    el.innerHTML = `
+      <strong>${preview.remove.toLocaleString()}</strong> message${preview.remove !== 1 ? 's' : ''} from ${escHtml(span)}
+      <div class="cpcl-retention-hint">${rooms}</div>
+      <div class="cpcl-retention-hint">${escHtml(kept)}</div>`;
+  }
+
+  async function saveRetention() {
+    const saved = await sendToBackground('retention:set', { policy: readRetentionForm() });
+    if (!saved) { alert('Could not save retention settings.'); return; }
+    closeRetention();
+  }
+
+  async function pruneNow() {
+    const policy = readRetentionForm();
+    if (!confirm('Save these settings and delete the messages listed in the preview now?')) return;
+    if (!await sendToBackground('retention:set', { policy })) { alert('Could not save retention settings.'); return; }
+    const removed = await sendToBackground('retention:apply', { policy });
+    closeRetention();
+    if (removed) loadHistory();
+  }
+
+  // ─── Present in room ──────────────────────────────────────────────────────
+
+  /** Show who was in the room when the given message was sent. */
+  async function showRoster(msgEl) {
+    const server    = msgEl.dataset.server || PAGE_SERVER;
+    const room      = msgEl.dataset.room;
+    const timestamp = Number(msgEl.dataset.timestamp);
+    const senderKey = msgEl.dataset.identity;
+
+    const title = document.getElementById('cpcl-roster-title');
+    const when  = document.getElementById('cpcl-roster-when');
+    const list  = document.getElementById('cpcl-roster-list');
+    title.textContent = `Present in ${room}`;
+    when.textContent  = formatDate(timestamp) + ', ' + formatTime(timestamp);
+    list.innerHTML    = '<div class="cpcl-empty">Loading\u2026</div>';
+    document.getElementById('cpcl-roster-modal').classList.add('cpcl-modal-visible');
+
+    const result = await dbGetRoster({ server, session: msgEl.dataset.session, room, timestamp });
+    if (!result) {
+      list.innerHTML = '<div class="cpcl-empty">Could not load room history.</div>';
+      return;
+    }
+
+    const roster = result.roster.sort((a, b) => a.name.localeCompare(b.name));
+    // The sender was there even if we never saw them arrive
+    if (!roster.some(p => `${server}#${p.playerId}` === senderKey)) {
+      roster.unshift({ playerId: null, name: msgEl.dataset.username, since: null });
+    }
+
+    let html = '';
+    if (!result.complete) {
+      html += '<div class="cpcl-roster-note">No snapshot of this room was recorded when it was joined \u2014 only players seen arriving are listed.</div>';
+    }
+    for (const p of roster) {
+      const key      = p.playerId != null ? `${server}#${p.playerId}` : senderKey;
+      const isSender = key === senderKey;
+      const isFriend = isFriendIdentity(key, p.name);
+      const since    = p.since ? `<span class="cpcl-roster-since">since ${escHtml(formatTime(p.since))}</span>` : '';
+      html += `<div class="cpcl-roster-row${isSender ? ' cpcl-roster-sender' : ''}">
+        <span class="cpcl-roster-name" style="color:${usernameColor(p.name)}">${isFriend ? '\u2605 ' : ''}${escHtml(p.name)}</span>
+        ${since}
+      </div>`;
+    }
+    list.innerHTML = html;
+  }
+
+  function closeRoster() {
+    document.getElementById('cpcl-roster-modal').classList.remove('cpcl-modal-visible');
+  }
+
   async function performExport() {
     const format   = document.getElementById('cpcl-export-format').value;
     const fromDate = document.getElementById('cpcl-export-from').value;
     const toDate   = document.getElementById('cpcl-export-to').value;
+    const server   = document.getElementById('cpcl-export-server').value;
     const room     = document.getElementById('cpcl-export-room').value;
     const player   = document.getElementById('cpcl-export-player').value.trim().toLowerCase();
-
-    let records = await dbGetAll();
-    if (records.length === 0) { alert('No messages to export.'); return; }
-
+    const query    = document.getElementById('cpcl-export-query').value.trim();
+    const preset   = presets.find(p => p.id === document.getElementById('cpcl-export-preset').value);
+    const withIgnored = document.getElementById('cpcl-export-ignored').checked;
+
+    // A saved search supplies regex, session and bookmark filters; the
+    // fields above (prefilled from it) win for server, room and query
+    const filter = preset ? controlsFilter(preset) : {};
+    delete filter.sort;
+    delete filter.server;
+    delete filter.room;
+    delete filter.query;
+    if (server) filter.server = server;
+    if (room)   filter.room   = room;
+    if (query)  filter.query  = query;
     if (fromDate) {
       const from = new Date(fromDate);
       from.setHours(0, 0, 0, 0);
-      records = records.filter(r => r.timestamp >= from.getTime());
+      filter.from = from.getTime();
     }
     if (toDate) {
       const to = new Date(toDate);
       to.setHours(23, 59, 59, 999);
-      records = records.filter(r => r.timestamp <= to.getTime());
-    }
-    if (room) {
-      records = records.filter(r => r.room === room);
+      filter.to = to.getTime();
     }
+
+    if (withIgnored) filter.includeIgnored = true;
+
+    let records = await dbQueryAll(filter);
     if (player) {
-      records = records.filter(r => r.username.toLowerCase().includes(player));
+      records = records.filter(r =>
+        [r.username, r.currentName, ...(r.formerNames || [])]
+          .some(n => n && n.toLowerCase().includes(player)));
     }
 
     if (records.length === 0) { alert('No messages match the selected filters.'); return; }
@@ -1211,7 +3125,7 @@
       mimeType = 'application/json';
       ext      = 'json';
     } else if (format === 'csv') {
-      const header = ['timestamp', 'username', 'message', 'room', 'eventName', 'direction', 'session'];
+      const header = ['timestamp', 'username', 'currentName', 'formerNames', 'playerId', 'message', 'room', 'server', 'eventName', 'direction', 'session'];
       const rows = records.map(r => header.map(h => csvEscape(r[h] ?? '')).join(','));
       content  = header.join(',') + '\n' + rows.join('\n');
       mimeType = 'text/csv';
@@ -1219,7 +3133,7 @@
     } else {
       const lines = records.map(r => {
         const d = new Date(r.timestamp).toLocaleString();
-        return `[${d}] [${r.room}] ${r.username}: ${r.message}`;
+        return `[${d}] [${r.room}${r.server ? ' @ ' + r.server : ''}] ${displayName(r)}: ${r.message}`;
       });
       content  = lines.join('\n');
       mimeType = 'text/plain';
@@ -1240,8 +3154,237 @@
   function updateCount(n) {
     const counter = document.getElementById('cpcl-count');
     if (!counter) return;
-    const shown = n !== undefined ? n : messageList.querySelectorAll('.cpcl-msg').length;
-    counter.textContent = `${shown.toLocaleString()} message${shown !== 1 ? 's' : ''}`;
+    const shown = n !== undefined ? n : vlItems.filter(item => item.kind === 'msg').length;
+    // Older pages not loaded yet
+    const more  = n === undefined && !historyDone ? '+' : '';
+    counter.textContent = `${shown.toLocaleString()}${more} message${shown !== 1 || more ? 's' : ''}`;
+  }
+
+  // ─── Virtual message list ────────────────────────────────────────────────
+  // Only rows near the viewport exist in the DOM; the rest of the list is
+  // stand-in height in two spacers, using each row's measured height once it
+  // has been on screen and an estimate before that. Re-renders keep the first
+  // visible row fixed on screen, so measuring or prepending never jumps.
+
+  const VL_OVERSCAN = 400;  // px rendered beyond each edge of the viewport
+  const VL_GAP      = 4;    // matches .cpcl-vl-rows gap
+  const VL_ESTIMATE = { msg: 46, sep: 22, presence: 18 };
+  const VL_STICK_PX = 40;   // this close to the bottom counts as following
+  const VL_LOAD_PX  = 300;  // this close to the top fetches an older page
+
+  let vlTop, vlRows, vlBottom, jumpBtn;
+  let vlItems    = [];      // { kind: 'msg' | 'sep' | 'presence', timestamp, ... }
+  let vlHeights  = [];      // measured height incl. gap, or null
+  let vlElements = new WeakMap(); // item -> rendered row, reused while scrolling
+  let vlStart    = -1;
+  let vlEnd      = -1;
+  let vlDirty    = true;
+  let vlFollow   = true;    // pinned to the newest row
+  let vlUnseen   = 0;       // live messages that arrived while scrolled back
+  let vlScrollQueued = false;
+
+  function messageItem(record) {
+    // Alerts from before rules had colours highlight red; 'none' opts out
+    const alert = !!record.alert && record.alertColor !== 'none';
+    return { kind: 'msg', timestamp: record.timestamp, record, alert };
+  }
+
+  /** Insert a date separator wherever the day changes. */
+  function withDateSeparators(items, lastDate = '') {
+    const out = [];
+    for (const item of items) {
+      const date = new Date(item.timestamp).toDateString();
+      if (date !== lastDate) {
+        out.push({ kind: 'sep', timestamp: item.timestamp, date });
+        lastDate = date;
+      }
+      out.push(item);
+    }
+    return out;
+  }
+
+  function renderListItem(item) {
+    if (item.kind === 'presence') return renderPresence(item);
+    if (item.kind === 'sep') {
+      const sep = document.createElement('div');
+      sep.className   = 'cpcl-date-sep';
+      sep.textContent = formatDate(item.timestamp);
+      return sep;
+    }
+    const el = renderMessage(item.record);
+    if (item.alert) {
+      el.classList.add('cpcl-msg-alert');
+      el.style.setProperty('--cpcl-alert', ALERT_COLORS[item.record.alertColor] || ALERT_COLORS.red);
+    }
+    decorateThread(el, item);
+    return el;
+  }
+
+  function vlElement(item) {
+    let el = vlElements.get(item);
+    if (!el) {
+      el = renderListItem(item);
+      vlElements.set(item, el);
+    }
+    return el;
+  }
+
+  function vlHeight(i) {
+    const h = vlHeights[i];
+    return h !== null ? h : VL_ESTIMATE[vlItems[i].kind] + VL_GAP;
+  }
+
+  function vlOffsetOf(index) {
+    let y = 0;
+    for (let i = 0; i < index; i++) y += vlHeight(i);
+    return y;
+  }
+
+  /** The first row at least partly in view, and how far the view top is into it. */
+  function vlAnchor() {
+    const viewTop = messageList.scrollTop - vlTop.offsetTop;
+    let y = 0;
+    for (let i = 0; i < vlItems.length; i++) {
+      const h = vlHeight(i);
+      if (y + h > viewTop) return { index: i, offset: viewTop - y };
+      y += h;
+    }
+    return null;
+  }
+
+  function vlRender(anchor = vlFollow ? null : vlAnchor()) {
+    // Hidden (panel closed or another tab): nothing can be measured yet
+    const viewH = messageList.clientHeight;
+    if (!viewH) { vlDirty = true; return; }
+
+    const n = vlItems.length;
+    const viewTop = anchor
+      ? vlOffsetOf(anchor.index) + anchor.offset
+      : Math.max(0, vlOffsetOf(n) - viewH);
+
+    let start = 0;
+    let y     = 0;
+    while (start < n && y + vlHeight(start) < viewTop - VL_OVERSCAN) { y += vlHeight(start); start++; }
+    let end = start;
+    while (end < n && y < viewTop + viewH + VL_OVERSCAN) { y += vlHeight(end); end++; }
+
+    if (start !== vlStart || end !== vlEnd || vlDirty) {
+      vlRows.replaceChildren(...vlItems.slice(start, end).map(vlElement));
+      [...vlRows.children].forEach((el, i) => {
+        // Ignored messages are display:none and take no space
+        vlHeights[start + i] = el.offsetHeight ? el.offsetHeight + VL_GAP : 0;
+      });
+      vlStart = start;
+      vlEnd   = end;
+      vlDirty = false;
+    }
+
+    vlTop.style.height    = vlOffsetOf(start) + 'px';
+    vlBottom.style.height = (vlOffsetOf(n) - vlOffsetOf(end)) + 'px';
+
+    if (anchor) messageList.scrollTop = vlTop.offsetTop + vlOffsetOf(anchor.index) + anchor.offset;
+    else messageList.scrollTop = messageList.scrollHeight;
+  }
+
+  function vlOnScroll() {
+    if (vlScrollQueued) return;
+    vlScrollQueued = true;
+    requestAnimationFrame(() => {
+      vlScrollQueued = false;
+      const fromBottom = messageList.scrollHeight - messageList.scrollTop - messageList.clientHeight;
+      vlFollow = fromBottom < VL_STICK_PX;
+      if (vlFollow) vlUnseen = 0;
+      updateJumpButton();
+      vlRender();
+      if (messageList.scrollTop < VL_LOAD_PX && !replayActive) loadOlder();
+    });
+  }
+
+  /** Replace the whole list and pin it to the newest row. */
+  function vlSetItems(items) {
+    threadItems(items);
+    vlItems    = items;
+    vlHeights  = new Array(items.length).fill(null);
+    vlElements = new WeakMap();
+    vlStart    = vlEnd = -1;
+    vlFollow   = true;
+    vlUnseen   = 0;
+    updateJumpButton();
+    vlRender(null);
+  }
+
+  function vlSetEmpty(text) {
+    vlSetItems([]);
+    vlRows.innerHTML = `<div class="cpcl-empty">${escHtml(text)}</div>`;
+  }
+
+  /** Add older rows above the current ones without moving the view. */
+  function vlPrepend(items) {
+    if (items.length === 0) return;
+    const anchor = vlFollow ? null : vlAnchor();
+    // The page ends on the day the list already starts with
+    const first = vlItems[0];
+    const last  = items[items.length - 1];
+    let dropped = 0;
+    if (first && first.kind === 'sep' && first.date === new Date(last.timestamp).toDateString()) {
+      vlItems.shift();
+      vlHeights.shift();
+      dropped = 1;
+    }
+    vlItems   = items.concat(vlItems);
+    vlHeights = new Array(items.length).fill(null).concat(vlHeights);
+    if (anchor) anchor.index = Math.max(0, anchor.index + items.length - dropped);
+    // Older rows can start or extend threads below them, so re-thread and re-measure
+    if (showThreads) {
+      threadItems(vlItems);
+      vlElements = new WeakMap();
+      vlHeights  = vlHeights.map(() => null);
+    }
+    vlStart = vlEnd = -1;
+    vlRender(anchor);
+  }
+
+  /** Add a live row at the bottom; only follows it if we were already there. */
+  function vlAppend(item) {
+    const last = vlItems[vlItems.length - 1];
+    const lastDate = last ? new Date(last.timestamp).toDateString() : '';
+    for (const added of withDateSeparators([item], lastDate)) {
+      vlItems.push(added);
+      vlHeights.push(null);
+    }
+    if (!vlFollow && item.kind === 'msg') vlUnseen++;
+    updateJumpButton();
+    vlDirty = true;
+    const thread = item.kind === 'msg' ? threadMessage(item) : null;
+    // The head row shows the count; a thread's second speaker makes it visible
+    if (thread && threadVisible(thread)) vlRefresh(i => i.thread === thread);
+    else vlRender();
+  }
+
+  /** Re-render rows after their state changed (ignore, friend, ...). */
+  function vlRefresh(affects = () => true) {
+    vlItems.forEach((item, i) => {
+      if (!affects(item)) return;
+      vlElements.delete(item);
+      vlHeights[i] = null;
+    });
+    vlDirty = true;
+    vlRender();
+  }
+
+  function updateJumpButton() {
+    if (!jumpBtn) return;
+    jumpBtn.style.display = vlFollow || vlItems.length === 0 ? 'none' : '';
+    jumpBtn.textContent   = vlUnseen
+      ? `\u2193 ${vlUnseen} new message${vlUnseen !== 1 ? 's' : ''}`
+      : '\u2193 Jump to latest';
+  }
+
+  function jumpToLatest() {
+    vlFollow = true;
+    vlUnseen = 0;
+    updateJumpButton();
+    vlRender(null);
   }
 
   // ─── Replay Mode ─────────────────────────────────────────────────────────
@@ -1263,27 +3406,16 @@
   }
 
   async function enterReplay() {
-    const search      = searchInput.value.toLowerCase();
-    const roomVal     = roomFilter.value;
-    const sessionOnly = document.getElementById('cpcl-session-only').checked;
-
-    const filter = {};
-    if (search)      filter.search  = search;
-    if (roomVal)     filter.room    = roomVal;
-    if (sessionOnly) filter.session = SESSION_ID;
-
-    const records = await dbGetAll(filter);
+    const records = await dbQueryAll(currentFilter());
     if (records.length === 0) return;
 
-    records.sort((a, b) => a.timestamp - b.timestamp);
-
     replayMessages = records;
     replayIndex    = 0;
     replayStartTs  = records[0].timestamp;
     replayActive   = true;
     replayPlaying  = false;
 
-    messageList.innerHTML = '';
+    vlSetItems([]);
 
     const rSlider = document.getElementById('cpcl-replay-slider');
     rSlider.max   = String(records.length - 1);
@@ -1378,9 +3510,7 @@
   function showReplayMessage(idx) {
     if (idx < 0 || idx >= replayMessages.length) return;
     const record = replayMessages[idx];
-    const el = renderMessage(record);
-    messageList.appendChild(el);
-    messageList.scrollTop = messageList.scrollHeight;
+    vlAppend(messageItem(record));
 
     const elapsed = record.timestamp - replayStartTs;
     document.getElementById('cpcl-replay-time').textContent = formatElapsed(elapsed);
@@ -1397,13 +3527,7 @@
     const rSlider = document.getElementById('cpcl-replay-slider');
     const targetIdx = parseInt(rSlider.value, 10);
 
-    messageList.innerHTML = '';
-    const frag = document.createDocumentFragment();
-    for (let i = 0; i <= targetIdx; i++) {
-      frag.appendChild(renderMessage(replayMessages[i]));
-    }
-    messageList.appendChild(frag);
-    messageList.scrollTop = messageList.scrollHeight;
+    vlSetItems(withDateSeparators(replayMessages.slice(0, targetIdx + 1).map(messageItem)));
 
     replayIndex = targetIdx + 1;
 
@@ -1444,15 +3568,232 @@
     notif.addEventListener('animationend', () => notif.remove());
   }
 
+  // ─── Desktop notifications ────────────────────────────────────────────────
+  // The toasts and flashes above only show inside the page, so while the game
+  // tab is in the background friend joins, mentions of our name and alert
+  // rules that ask for it also go out through chrome.notifications (shown by
+  // the background worker). Clicking one brings the tab back and opens the
+  // panel on the message.
+
+  let notifyPrefs = { friends: true, mentions: true };
+
+  function gameInBackground() {
+    return document.hidden || !document.hasFocus();
+  }
+
+  /** Returns whether a notification was requested (only in the background). */
+  function desktopNotify(title, message, { id = null, room, server } = {}) {
+    if (!gameInBackground()) return false;
+    sendToBackground('notify:show', {
+      title,
+      message: message || '',
+      context: [room, server || PAGE_SERVER].filter(Boolean).join(' \u00B7 '),
+      id,
+    });
+    return true;
+  }
+
+  function notifyMention(record) {
+    if (!notifyPrefs.mentions || !ownNames.size || inQuietHours() || !gameInBackground()) return;
+    if (mentionMarkup(record).me) desktopNotify(`${record.username} mentioned you`, record.message, record);
+  }
+
+  function notifyFriendJoin(username, room) {
+    if (!notifyPrefs.friends || inQuietHours()) return;
+    desktopNotify(`${username} joined the room`, `${username} is in ${room || 'your room'}.`, { room });
+  }
+
+  /** A notification was clicked: show the panel, on the message if it has one. */
+  function revealMessage(id) {
+    if (!panelVisible) togglePanel();
+    if (activeTab !== 'chat') switchTab('chat');
+    if (id != null) openContext(id);
+  }
+
+  // ─── Igloo owners ─────────────────────────────────────────────────────────
+  // hook.js labels an igloo "<owner>'s Igloo" once it knows the owner and
+  // "Igloo #<owner id>" until then. The background worker relabels stored
+  // rows as owners turn up, from igloo traffic, from a penguin showing up
+  // with a name, or from its own players store. Every owner it reports goes
+  // back to hook.js so new rows get the name too.
+
+  const IGLOO_PLACEHOLDER = /^Igloo #(\d+)$/;
+  const iglooOwners  = new Map(); // owner penguin id -> name, this server only
+  const iglooPending = new Set(); // placeholder igloos nobody has a name for yet
+
+  function iglooRoom(room) {
+    const m = IGLOO_PLACEHOLDER.exec(room || '');
+    return m && iglooOwners.has(m[1]) ? `${iglooOwners.get(m[1])}'s Igloo` : room;
+  }
+
+  /** owners: { id: name } just learned; ids: placeholder igloos to look up. */
+  async function resolveIgloos(owners = {}, ids = []) {
+    const result = await sendToBackground('igloos:resolve', { server: PAGE_SERVER, owners, ids });
+    if (!result) return;
+    result.unresolved.forEach(id => iglooPending.add(id));
+    const learned = Object.entries(result.owners);
+    if (!learned.length) return;
+    learned.forEach(([id, name]) => {
+      iglooOwners.set(id, name);
+      iglooPending.delete(id);
+    });
+    sendHookSettings();
+
+    const selected = iglooRoom(roomFilter.value);
+    if (selected !== roomFilter.value) {
+      addRoomOption(selected);
+      roomFilter.value = selected;
+    }
+    if (!panelVisible) return;
+    if (activeTab === 'chat' && !replayActive && !contextView) loadHistory();
+    else if (activeTab === 'stats') populateStats();
+  }
+
+  /** A penguin whose igloo is still a placeholder turned up with a name. */
+  function noteIglooOwner(id, name) {
+    if (id == null || !iglooPending.has(String(id)) || !name || /^Penguin #\d+$/.test(name)) return;
+    iglooPending.delete(String(id));
+    resolveIgloos({ [id]: name });
+  }
+
+  // ─── Client data tables ───────────────────────────────────────────────────
+  // hook.js reads the safe-chat, emote, joke and phrase tables out of the
+  // game's own bundle. We cache them per server so the next visit has names before the
+  // bundle is scanned, and rewrite the "[Emote #N]"-style placeholders stored
+  // before any name was known. Overrides from the Names editor win over both.
+
+  const TABLE_KINDS  = { emotes: 'Emote', jokes: 'Joke', safe: 'Safe', phrases: 'Phrase' };
+  const TABLE_IDS    = { phrases: /^[\w.-]+$/ }; // phrase keys are words; other ids are numbers
+  let namesDraft     = [];  // [{ kind, id, text }] while the editor is open
+
+  /** Cached client tables with this server's overrides on top. */
+  function resolvedTables(server) {
+    const cached    = clientTables[server] || {};
+    const overrides = tableOverrides[server] || {};
+    return Object.fromEntries(Object.keys(TABLE_KINDS)
+      .map(kind => [kind, { ...(cached[kind] || {}), ...(overrides[kind] || {}) }]));
+  }
+
+  async function backfillPlaceholders(server) {
+    const updated = await sendToBackground('db:backfill', { server, tables: resolvedTables(server) });
+    if (!updated) return;
+    console.debug(`[CP Chat Log] Resolved ${updated} stored emote, joke, safe-chat and phrase messages`);
+    if (panelVisible && activeTab === 'chat' && !replayActive && !contextView) loadHistory();
+  }
+
+  async function handleClientTables({ server, tables }) {
+    server = server || PAGE_SERVER;
+    clientTables = { ...clientTables, [server]: { ...clientTables[server], ...tables, updatedAt: Date.now() } };
+    await saveSettings('clientTables');
+    backfillPlaceholders(server);
+  }
+
+  // ── Names editor ──
+  async function openNamesEditor() {
+    const overrides = tableOverrides[PAGE_SERVER] || {};
+    namesDraft = Object.keys(TABLE_KINDS).flatMap(kind =>
+      Object.entries(overrides[kind] || {}).map(([id, text]) => ({ kind, id, text })));
+    const cached = clientTables[PAGE_SERVER] || {};
+    const found  = Object.entries(TABLE_KINDS)
+      .map(([kind, label]) => `${Object.keys(cached[kind] || {}).length} ${label.toLowerCase()}s`).join(', ');
+    document.getElementById('cpcl-names-hint').textContent = cached.updatedAt
+      ? `${PAGE_SERVER}: read ${found} from the game. Names here win over the game's.`
+      : `${PAGE_SERVER}: the game's tables haven't been found yet. Names here are used until they are.`;
+    renderNamesEditor();
+    document.getElementById('cpcl-names-unresolved').innerHTML = '<div class="cpcl-empty">Loading\u2026</div>';
+    document.getElementById('cpcl-names-modal').classList.add('cpcl-modal-visible');
+    renderUnresolved(await sendToBackground('db:placeholders', { server: PAGE_SERVER }));
+  }
+
+  function closeNamesEditor() {
+    document.getElementById('cpcl-names-modal').classList.remove('cpcl-modal-visible');
+  }
+
+  function renderNamesEditor() {
+    const el = document.getElementById('cpcl-names-list');
+    if (!namesDraft.length) {
+      el.innerHTML = '<div class="cpcl-empty">No names of your own yet.</div>';
+      return;
+    }
+    el.innerHTML = namesDraft.map((row, i) => `
+      <div class="cpcl-names-row" data-i="${i}">
+        <select class="cpcl-input cpcl-select" data-field="kind">
+          ${Object.entries(TABLE_KINDS).map(([kind, label]) =>
+            `<option value="${kind}"${kind === row.kind ? ' selected' : ''}>${label}</option>`).join('')}
+        </select>
+        <input type="text" class="cpcl-input cpcl-names-id" data-field="id" value="${escHtml(row.id)}" placeholder="#" inputmode="${TABLE_IDS[row.kind] ? 'text' : 'numeric'}">
+        <input type="text" class="cpcl-input" data-field="text" value="${escHtml(row.text)}" placeholder="Name or text" spellcheck="false">
+        <button class="cpcl-btn cpcl-btn-sm" data-remove-name="${i}" title="Delete">\u2715</button>
+      </div>`).join('');
+  }
+
+  function renderUnresolved(counts) {
+    const chips = counts ? Object.entries(TABLE_KINDS).flatMap(([kind, label]) =>
+      Object.entries(counts[kind] || {})
+        .sort((a, b) => b[1] - a[1])
+        .map(([id, n]) => `<button class="cpcl-btn cpcl-btn-sm" data-name-kind="${kind}" data-name-id="${escHtml(id)}"
+          title="${n} stored message${n === 1 ? '' : 's'}; click to name it">${label} #${escHtml(id)} \u00D7${n}</button>`)) : [];
+    document.getElementById('cpcl-names-unresolved').innerHTML = chips.length
+      ? chips.join('')
+      : '<div class="cpcl-empty">Every stored emote, joke, safe-chat and phrase message has a name.</div>';
+  }
+
+  function handleNamesInput(e) {
+    const row = e.target.closest('.cpcl-names-row');
+    if (!row || !e.target.dataset.field) return;
+    namesDraft[Number(row.dataset.i)][e.target.dataset.field] = e.target.value;
+  }
+
+  function handleNamesClick(e) {
+    if (e.target.id === 'cpcl-names-modal') return closeNamesEditor();
+    const remove = e.target.closest('[data-remove-name]');
+    const chip   = e.target.closest('[data-name-kind]');
+    if (remove) {
+      namesDraft.splice(Number(remove.dataset.removeName), 1);
+      renderNamesEditor();
+    } else if (chip) {
+      const { nameKind: kind, nameId: id } = chip.dataset;
+      if (!namesDraft.some(r => r.kind === kind && r.id === id)) namesDraft.push({ kind, id, text: '' });
+      renderNamesEditor();
+      const inputs = document.querySelectorAll('#cpcl-names-list [data-field="text"]');
+      inputs[namesDraft.findIndex(r => r.kind === kind && r.id === id)]?.focus();
+    }
+  }
+
+  async function saveNamesForm() {
+    const overrides = Object.fromEntries(Object.keys(TABLE_KINDS).map(kind => [kind, {}]));
+    for (const row of namesDraft) {
+      const id = String(row.id).trim();
+      if ((TABLE_IDS[row.kind] || /^\d+$/).test(id) && row.text.trim()) overrides[row.kind][id] = row.text.trim();
+    }
+    tableOverrides = { ...tableOverrides, [PAGE_SERVER]: overrides };
+    closeNamesEditor();
+    await saveSettings('tableOverrides');
+    backfillPlaceholders(PAGE_SERVER);
+  }
+
   // ─── Entry point ──────────────────────────────────────────────────────────
 
-  openDB().then(idb => {
-    db = idb;
+  (function init() {
     createPanel();
+    settingsReady = loadSettings().then(() => {
+      syncViewToggles();
+      renderPresets();
+      seedPresetUnread();
+      scheduleMuteExpiry();
+      updateIgnoredCount();
+      resolveIgloos();
+    });
+    loadOwnNames();
+    dbUpdateSession({ server: PAGE_SERVER, startedAt: SESSION_START, timestamp: SESSION_START });
+    settingsReady.then(migrateLegacyStore).catch(err => {
+      console.error('[CP Chat Log] Legacy history migration failed:', err);
+    });
 
-    // Listen for messages from hook.js (page context -> isolated world)
+    // Listen for messages from hook.js (page context -> isolated world).
+    // Held until settings load so alert rules see the first messages too.
     window.addEventListener(BRIDGE_EVENT, (e) => {
-      ingest(e.detail);
+      settingsReady.then(() => ingest(e.detail));
     });
 
     // Listen for server events (buddy/world/queue updates)
@@ -1463,26 +3804,73 @@
       if (activeTab === 'server') populateServer();
     });
 
-    // Listen for player events (friend join notifications)
+    // Listen for session facts (own identity, room joins)
+    window.addEventListener(SESSION_EVENT, (e) => {
+      const detail = e.detail;
+      if (!detail) return;
+      if (detail.type === 'identity') {
+        dbUpdateSession({ ownPlayerId: detail.ownPlayerId, ownUsername: detail.ownUsername, timestamp: detail.timestamp });
+        addOwnName(detail.ownUsername);
+      } else if (detail.type === 'room') {
+        dbUpdateSession({ room: iglooRoom(detail.room), timestamp: detail.timestamp });
+        // An igloo hook.js can't name yet: the players store may know its owner
+        const igloo = IGLOO_PLACEHOLDER.exec(iglooRoom(detail.room) || '');
+        if (igloo) resolveIgloos({}, [igloo[1]]);
+      } else if (detail.type === 'iglooOwners') {
+        resolveIgloos(detail.owners);
+      } else if (detail.type === 'clientTables') {
+        settingsReady.then(() => handleClientTables(detail));
+      }
+    });
+
+    // A desktop notification was clicked (relayed by the background worker)
+    chrome.runtime.onMessage.addListener((msg) => {
+      if (msg && msg.type === 'panel:reveal') revealMessage(msg.id);
+    });
+
+    // Best-effort end stamp; endedAt already tracks the last captured message
+    window.addEventListener('pagehide', () => {
+      flushQueueOnExit();
+      markPresetSeen(activePresetId);
+      dbUpdateSession({ endedAt: Date.now() });
+    });
+
+    // Listen for player events (persist to the players store, friend join notifications)
     window.addEventListener(PLAYER_EVENT, (e) => {
       const detail = e.detail;
       if (!detail) return;
       const action = detail.action || detail.type;
+      if (detail.player && detail.player.id !== undefined && PRESENCE_TYPES[action]) {
+        const entry = {
+          server:    detail.server || PAGE_SERVER,
+          session:   SESSION_ID,
+          room:      iglooRoom(detail.room),
+          playerId:  detail.player.id,
+          name:      detail.player.nickname || detail.player.username,
+          username:  detail.player.username,
+          type:      PRESENCE_TYPES[action],
+          timestamp: detail.timestamp || Date.now(),
+        };
+        dbAddPresence([entry]);
+        appendPresence(entry);
+        noteIglooOwner(entry.playerId, entry.name);
+      }
       if (action === 'add_player' || action === 'add') {
-        const friends = window.__cpChatLog_friends;
         const username = detail.username
-          || (detail.player && detail.player.username)
+          || (detail.player && (detail.player.nickname || detail.player.username))
           || (detail.user && detail.user.username)
           || (detail.args && detail.args.username);
-        if (username && friends && friends.has(username)) {
+        const key = detail.player && detail.player.id !== undefined
+          ? `${detail.server || PAGE_SERVER}#${detail.player.id}`
+          : username;
+        if (username && isFriendIdentity(key, username)) {
           showFriendNotification(username);
+          notifyFriendJoin(username, detail.room);
         }
       }
     });
 
-    console.debug('[CP Chat Log] Panel ready, DB open');
-  }).catch(err => {
-    console.error('[CP Chat Log] Failed to open IndexedDB:', err);
-  });
+    console.debug('[CP Chat Log] Panel ready');
+  })();
 
 })();
@@ -1,7 +1,8 @@
 /**
  * hook.js — runs in PAGE context via "world": "MAIN" content script.
  *
- * Supports multiple Yukon-based CP servers:
+ * Supports multiple Yukon-based CP servers, each described by a profile in
+ * shared/servers.js (loaded just before this file). The two built in:
  *
  *   newcp.net — Encrypted protocol. All socket.io traffic uses a SINGLE event
  *     named "message"; the payload is AES-encrypted via crypto.subtle.
@@ -12,18 +13,20 @@
  *     No encryption. Frames are standard engine.io/socket.io wire format:
  *     42["event_name",{...}]
  *
- * Interception strategy (layered):
+ * Interception strategy (layered; the profile picks the layers):
  *
- *   Layer 1 — crypto.subtle hook (newcp.net PRIMARY)
+ *   Layer 1 — crypto.subtle hook (wire: 'aes-json', e.g. newcp.net)
  *     Hook window.crypto.subtle.decrypt/encrypt to capture plaintext.
  *     Only fires on servers that encrypt their socket.io traffic.
  *
- *   Layer 2 — WebSocket proxy (cpjourney.net PRIMARY, newcp.net DEBUG)
+ *   Layer 2 — WebSocket proxy (every profile)
  *     Intercepts raw WebSocket frames. For plaintext socket.io servers,
  *     parses the engine.io/socket.io wire format to extract event names
  *     and arguments. Also provides debug logging for encrypted servers.
+ *     2a patches WebSocket.prototype; 2b (stealth: true, e.g. cpjourney.net)
+ *     hooks instances instead.
  *
- *   Layer 3 — DOM MutationObserver (fallback)
+ *   Layer 3 — DOM MutationObserver (domFallback: true)
  *     Watches for any Phaser DOMElement chat nodes added to #cp_html.
  */
 
@@ -35,8 +38,15 @@
   const BRIDGE_EVENT  = '__cpChatLog_message__';
   const PLAYER_EVENT  = '__cpChatLog_playerEvent__';
   const SERVER_EVENT  = '__cpChatLog_serverEvent__';
-  const IS_CPJOURNEY  = /cpjourney\.net$/.test(location.hostname);
-
+  const SESSION_EVENT = '__cpChatLog_sessionEvent__';
+  const SETTINGS_EVENT = '__cpChatLog_settings__';
+  const PROFILE       = window.__cpChatLog_servers.profileFor(location.href);
+  // Partition key stamped on every record so servers sharing one store
+  // (e.g. "Town" on both) stay distinguishable.
+  const SERVER        = PROFILE.id;
+
+  // Fallbacks for when the client's own tables can't be found (see "Client
+  // data tables"); the panel's overrides and the client's tables come first.
   const EMOTE_NAMES = {
     1: 'Happy', 2: 'Sad', 3: 'Grumpy', 4: 'Sick', 5: 'Surprised',
     6: 'Silly', 7: 'Love', 8: 'Thinking', 9: 'Angry', 10: 'Laughing',
@@ -69,14 +79,15 @@
     'send_emote',     // emote action             (all servers)
     'send_joke',      // joke                     (newcp.net)
     'send_tour',      // tour guide speech        (newcp.net)
-    'give_tour',      // tour guide speech        (cpjourney.net)
+    'give_tour',      // tour guide speech        (cpjourney.net, aliased to send_tour)
     'send_stage',     // stage performance        (cpjourney.net)
   ]);
 
   /**
-   * Yukon room ID → display name.
+   * Yukon room ID → display name; a profile's roomNames win over these.
    * Source: https://github.com/wizguin/yukon-server/blob/master/data/rooms.json
-   * IDs >= 2000 are player igloos (offset controlled by iglooIdOffset: 2000).
+   * IDs >= 2000 are player igloos (offset controlled by iglooIdOffset: 2000,
+   * the profile's iglooOffset).
    */
   const ROOM_NAMES = {
     // Town area
@@ -134,11 +145,59 @@
     999: 'Sled Racing',
   };
 
+  const IGLOO_ID_OFFSET = PROFILE.iglooOffset;
+
   function resolveRoomName(id) {
     if (id === undefined || id === null) return null;
     const n = Number(id);
-    if (n >= 2000) return `Igloo #${n - 2000}`;
-    return ROOM_NAMES[n] || `Room #${n}`;
+    if (n >= IGLOO_ID_OFFSET) {
+      const owner = iglooOwner(n - IGLOO_ID_OFFSET);
+      return owner ? `${owner}'s Igloo` : `Igloo #${n - IGLOO_ID_OFFSET}`;
+    }
+    return PROFILE.roomNames[n] || ROOM_NAMES[n] || `Room #${n}`;
+  }
+
+  // ─── Igloo owners ────────────────────────────────────────────────────────
+  // An igloo's room id is the owner's penguin id + IGLOO_ID_OFFSET. Owner
+  // names come from get_igloos / igloo_* payloads, from the registry (the
+  // owner is usually home), and from panel.js, which looks up ids it has
+  // seen before in the players store and sends them over SETTINGS_EVENT.
+  // Each newly learned owner goes to panel.js so it can relabel history.
+
+  const IGLOO_PATTERNS = /^(get_)?igloo/i;
+  const iglooOwners = new Map(); // owner penguin id → name
+
+  const isRealName = name => typeof name === 'string' && name !== '' && !/^Penguin #\d+$/.test(name);
+
+  function iglooOwner(ownerId) {
+    if (!iglooOwners.has(ownerId)) learnIglooOwner(ownerId, lookupUsername(ownerId));
+    return iglooOwners.get(ownerId) || null;
+  }
+
+  function learnIglooOwner(ownerId, name) {
+    if (!Number.isFinite(ownerId) || !isRealName(name) || iglooOwners.get(ownerId) === name) return;
+    iglooOwners.set(ownerId, name);
+    window.dispatchEvent(new CustomEvent(SESSION_EVENT, { detail: {
+      type: 'iglooOwners',
+      server: SERVER,
+      owners: { [ownerId]: name },
+      timestamp: Date.now(),
+    }}));
+  }
+
+  /**
+   * Yukon's open-igloo list is [{ id, username }] keyed by the owner's
+   * penguin id; other igloo_* payloads are matched on the same loose shape.
+   */
+  function handleIglooAction(args) {
+    const list = Array.isArray(args) ? args
+      : Array.isArray(args.igloos) ? args.igloos
+        : args.igloos && typeof args.igloos === 'object' ? Object.values(args.igloos) : [args];
+    for (const igloo of list) {
+      if (!igloo || typeof igloo !== 'object') continue;
+      const ownerId = igloo.userId ?? igloo.user_id ?? igloo.penguin_id ?? igloo.owner ?? igloo.id;
+      learnIglooOwner(Number(ownerId), igloo.username ?? igloo.nickname ?? igloo.ownerName ?? igloo.owner_name);
+    }
   }
 
   // ─── Server-state patterns & accumulators ───────────────────────────────
@@ -243,6 +302,7 @@
 
     window.dispatchEvent(new CustomEvent(SERVER_EVENT, { detail: {
       category,
+      server: SERVER,
       ts: _lastServerEventTs,
       buddies:      buddyArr,
       worlds:       worldArr,
@@ -258,21 +318,39 @@
   window.__cpChatLog_rawFrames = window.__cpChatLog_rawFrames || [];
   window.__cpChatLog_decrypted = window.__cpChatLog_decrypted || [];
 
-  // ─── Persistent friend/ignore lists (localStorage-backed) ───────────────
-
-  const STORAGE_KEY_FRIENDS = '__cpChatLog_friends__';
-  const STORAGE_KEY_IGNORED = '__cpChatLog_ignored__';
+  // ─── Friend/ignore lists (owned by panel.js) ────────────────────────────
+  // The lists live in chrome.storage, which this world can't reach. panel.js
+  // sends a JSON copy over SETTINGS_EVENT once it has loaded them and again
+  // after every change, so isFriend/isIgnored follow edits without a reload.
+  // The same event carries cached client tables, name overrides and igloo
+  // owners from the players store.
+
+  const friendList = new Set();
+  const ignoreList = new Set();
+
+  window.addEventListener(SETTINGS_EVENT, (e) => {
+    let settings;
+    try { settings = JSON.parse(e.detail); } catch { return; }
+    for (const [set, list] of [[friendList, settings.friends], [ignoreList, settings.ignored]]) {
+      if (!Array.isArray(list)) continue;
+      set.clear();
+      list.forEach(entry => set.add(entry));
+    }
+    for (const kind of TABLE_KINDS) {
+      // A table found in this page's bundle beats last visit's cached copy
+      if (settings.tables && settings.tables[kind] && !tablesFound.has(kind)) clientTables[kind] = settings.tables[kind];
+      if (settings.overrides) tableOverrides[kind] = (settings.overrides[kind]) || {};
+    }
+    for (const [ownerId, name] of Object.entries(settings.iglooOwners || {})) {
+      if (isRealName(name)) iglooOwners.set(Number(ownerId), name);
+    }
+  });
 
-  function loadSet(key) {
-    try { return new Set(JSON.parse(localStorage.getItem(key) || '[]')); } catch { return new Set(); }
-  }
-  function saveSet(key, set) {
-    try { localStorage.setItem(key, JSON.stringify([...set])); } catch { /* ignore */ }
+  /** Entries are "<server>#<penguin id>"; older builds stored plain names. */
+  function listHasSender(list, id, username) {
+    return (id !== null && id !== undefined && list.has(`${SERVER}#${id}`)) || list.has(username);
   }
 
-  const friendList = loadSet(STORAGE_KEY_FRIENDS);
-  const ignoreList = loadSet(STORAGE_KEY_IGNORED);
-
   // ─── Helpers ──────────────────────────────────────────────────────────────
 
   function dispatch(msg) {
@@ -294,9 +372,14 @@
   // Built from Yukon protocol messages rather than Phaser scene walking.
   // join_room gives us all players in the room; add_player adds latecomers.
   // login / game_auth / load_player tells us who WE are (needed for outgoing
-  // send_message which carries no id field).
+  // send_message which carries no id field). The registry holds only who is
+  // in the room now; penguins who leave keep just their name, in a bounded
+  // cache, for late messages and leave events. panel.js persists every name
+  // to the players store.
 
+  const DEPARTED_MAX   = 500;
   const playerRegistry = new Map(); // Number(id) → { username, nickname }
+  const departedNames  = new Map(); // Number(id) → name, least recently left first
   let ownPlayerId   = null;
   let ownUsername   = null;
   let currentRoomId = null;
@@ -306,6 +389,7 @@
     const id = Number(p.id);
     const existing = playerRegistry.get(id);
     playerRegistry.set(id, {
+      server:       SERVER,
       username:     p.username || p.nickname || (existing && existing.username) || `Penguin #${p.id}`,
       nickname:     p.nickname || p.username || (existing && existing.nickname) || `Penguin #${p.id}`,
       lastSeen:     (existing && existing.lastSeen) || Date.now(),
@@ -314,10 +398,57 @@
     });
   }
 
+  /** Move a penguin who left the room from the registry to departedNames. */
+  function forgetPlayer(id) {
+    const p = playerRegistry.get(id);
+    if (!p) return;
+    playerRegistry.delete(id);
+    departedNames.delete(id);
+    departedNames.set(id, p.nickname || p.username);
+    if (departedNames.size > DEPARTED_MAX) departedNames.delete(departedNames.keys().next().value);
+  }
+
   function lookupUsername(id) {
     if (id === undefined || id === null) return null;
     const p = playerRegistry.get(Number(id));
-    return p ? (p.nickname || p.username) : null;
+    return p ? (p.nickname || p.username) : (departedNames.get(Number(id)) || null);
+  }
+
+  // ─── Mentions ─────────────────────────────────────────────────────────────
+  // "@name" for anyone, plus bare names of penguins in the room (the
+  // registry), so someone who left hours ago isn't mentioned by accident and
+  // the scan stays the size of the room. Bare names need 3+ characters and
+  // whole-word boundaries, so short names don't fire on ordinary words.
+
+  const MENTION_MIN_BARE = 3;
+  const WORD_CHAR = /[\p{L}\p{N}_]/u;
+
+  function isWordAt(text, i) {
+    return i >= 0 && i < text.length && WORD_CHAR.test(text[i]);
+  }
+
+  /** [{ id, name }] mentioned in `text`; id is null for an unknown @name. */
+  function findMentions(text, senderId) {
+    const lower = text.toLowerCase();
+    const found = new Map(); // lower-cased name -> { id, name }
+    for (const [id, p] of playerRegistry) {
+      if (id === senderId) continue;
+      for (const name of new Set([p.nickname, p.username])) {
+        if (!name || /^Penguin #\d+$/.test(name)) continue;
+        const n = name.toLowerCase();
+        for (let i = lower.indexOf(n); i >= 0; i = lower.indexOf(n, i + 1)) {
+          if (isWordAt(lower, i - 1) || isWordAt(lower, i + n.length)) continue;
+          if (lower[i - 1] !== '@' && n.length < MENTION_MIN_BARE) continue;
+          if (!found.has(n)) found.set(n, { id, name });
+          break;
+        }
+      }
+    }
+    for (const m of text.matchAll(/(?:^|[^\p{L}\p{N}_])@([\p{L}\p{N}_]+)/gu)) {
+      const n = m[1].toLowerCase();
+      if (![...found.keys()].some(k => k === n || k.startsWith(n + ' '))) found.set(n, { id: null, name: m[1] });
+    }
+    return [...found.values()];
   }
 
   function getCurrentRoom() {
@@ -347,6 +478,8 @@
       }
       case 'join_room': {
         if (args.room !== undefined) currentRoomId = args.room;
+        // Everyone from the last room is gone, apart from us
+        for (const id of [...playerRegistry.keys()]) if (id !== ownPlayerId) forgetPlayer(id);
         if (Array.isArray(args.users)) {
           args.users.forEach(u => {
             registerPlayer(u);
@@ -379,12 +512,8 @@
         break;
       }
       case 'remove_player': {
-        // Update lastSeen before removing, but keep the entry for tracking
-        if (args.user !== undefined) {
-          const entry = playerRegistry.get(Number(args.user));
-          if (entry) entry.lastSeen = now;
-          playerRegistry.delete(Number(args.user));
-        }
+        // The name stays in departedNames to label the leave event
+        if (args.user !== undefined) forgetPlayer(Number(args.user));
         break;
       }
     }
@@ -397,6 +526,198 @@
     }
   }
 
+  // ─── Client data tables ───────────────────────────────────────────────────
+  // send_safe, send_emote and send_joke only carry an index, and vanilla
+  // phrase chat a phrase key. The clients bundle their data with webpack
+  // (the profile's webpackChunk), so we borrow webpack's require through an
+  // empty chunk and look through the loaded modules for:
+  //   safe   — the safe-chat menu, a tree of { id, message } nodes
+  //   emotes — a table under a key naming emotes, id -> name
+  //   jokes  — a table under a key naming jokes, id -> text
+  //   phrases — a table under a key naming phrases, phrase key -> text
+  // panel.js caches what we find per server and sends it back on the next
+  // load, with the user's overrides, over SETTINGS_EVENT. Lookups go
+  // override, then client table, then the static maps above.
+
+  const TABLE_KINDS    = ['safe', 'emotes', 'jokes', 'phrases'];
+  const TABLE_KEYS     = { emotes: /emote/i, jokes: /joke/i, phrases: /phrase/i };
+  const TABLE_IDS      = { phrases: /^[\w.-]+$/ };  // others are numeric
+  const TABLE_MIN      = { safe: 20, emotes: 5, jokes: 5, phrases: 5 }; // fewer hits is some other list
+  const TABLE_SCAN_BUDGET = 200_000; // properties read per scan, across every module
+  const TABLE_SLICE_MS = 8;          // per idle callback, so the game keeps its frames
+  const TABLE_RETRY_MS = 15_000;     // bundles load lazily; look again later
+  const TABLE_MAX_SCANS = 5;
+  const clientTables   = { safe: {}, emotes: {}, jokes: {}, phrases: {} };
+  const tableOverrides = { safe: {}, emotes: {}, jokes: {}, phrases: {} };
+  const tablesFound    = new Set();  // kinds found in this page's own bundle
+  let tableLastScan = 0;
+  let tableScans    = 0;
+  let tableScan     = null;          // the scan in progress (a generator)
+
+  function webpackRequire() {
+    const chunks = window[PROFILE.webpackChunk];
+    if (!Array.isArray(chunks)) return null;
+    let req = null;
+    try {
+      chunks.push([[`cpcl_${Date.now()}`], {}, (r) => { req = r; }]);
+    } catch { /* not a webpack 5 chunk array */ }
+    return req;
+  }
+
+  // The scan only reads own data properties: a getter (webpack's ES module
+  // exports are getters) can run arbitrary game code, so it is never called.
+  function dataEntries(node) {
+    let descriptors;
+    try { descriptors = Object.getOwnPropertyDescriptors(node); } catch { return []; }
+    const out = [];
+    for (const [k, d] of Object.entries(descriptors)) if ('value' in d) out.push([k, d.value]);
+    return out;
+  }
+
+  function dataValue(node, key) {
+    try {
+      const d = Object.getOwnPropertyDescriptor(node, key);
+      return d && 'value' in d ? d.value : undefined;
+    } catch { return undefined; }
+  }
+
+  /** { id: text } from an id-keyed object or an array of { id, name|text|… }. */
+  function idTable(value, idPattern = /^\d+$/) {
+    const out  = {};
+    const text = v => (typeof v === 'string' ? v
+      : v && typeof v === 'object' ? ['name', 'label', 'text', 'message', 'joke', 'title'].map(k => dataValue(v, k)).find(x => typeof x === 'string')
+        : undefined);
+    const isArray = Array.isArray(value);
+    for (const [k, v] of dataEntries(value)) {
+      const id = isArray ? (v && typeof v === 'object' ? dataValue(v, 'id') : undefined) : k;
+      if (idPattern.test(String(id)) && text(v)) out[id] = text(v);
+    }
+    return out;
+  }
+
+  const tableSize = t => Object.keys(t).length;
+
+  /**
+   * Modules already run, plus JSON data modules (safe to run: only
+   * JSON.parse). Yields undefined for each module passed over, so the scan
+   * can pause between them.
+   */
+  function* webpackExports(req) {
+    if (req.c) {
+      for (const mod of Object.values(req.c)) yield mod ? dataValue(mod, 'exports') : undefined;
+    }
+    if (req.m) {
+      for (const [id, factory] of Object.entries(req.m)) {
+        if (req.c && req.c[id]) continue;
+        const src = typeof factory === 'function' ? Function.prototype.toString.call(factory) : '';
+        if (src.length < 200 || !/message|emote|joke|phrase/i.test(src)
+            || !/^[^{]*\{\s*"use strict";\s*\w+\.exports\s*=\s*JSON\.parse\(/.test(src)) {
+          yield undefined;
+          continue;
+        }
+        let exports;
+        try { exports = req(id); } catch { continue; }
+        yield exports;
+      }
+    }
+  }
+
+  /**
+   * Walk the loaded modules' exports for each kind of table: one budget and
+   * one seen-set for the whole scan, so graphs shared between modules (the
+   * Phaser game, say) are walked once. Yields now and then so it can run in
+   * idle slices; returns the best table of each kind.
+   */
+  function* scanClientTables() {
+    const best = { safe: {}, emotes: {}, jokes: {}, phrases: {} };
+    const req  = webpackRequire();
+    if (!req) return best;
+    const seen = new Set();
+    let budget = TABLE_SCAN_BUDGET;
+    for (const root of webpackExports(req)) {
+      yield;
+      if (!root || typeof root !== 'object') continue;
+      const safe  = {}; // a safe-chat tree counts per module: other modules have other { id, message } lists
+      const stack = [root];
+      while (stack.length && budget > 0) {
+        const node = stack.pop();
+        if (!node || typeof node !== 'object' || seen.has(node)) continue;
+        seen.add(node);
+        const entries = dataEntries(node);
+        budget -= entries.length + 1;
+        const message = dataValue(node, 'message');
+        const id      = dataValue(node, 'id');
+        if (typeof message === 'string' && /^\d+$/.test(String(id))) safe[id] = message;
+        for (const [k, v] of entries) {
+          if (!v || typeof v !== 'object') continue;
+          for (const [kind, re] of Object.entries(TABLE_KEYS)) {
+            if (!re.test(k)) continue;
+            const table = idTable(v, TABLE_IDS[kind]);
+            if (tableSize(table) > tableSize(best[kind])) best[kind] = table;
+          }
+          stack.push(v);
+        }
+        if (seen.size % 500 === 0) yield;
+      }
+      if (tableSize(safe) > tableSize(best.safe)) best.safe = safe;
+      if (budget <= 0) break;
+    }
+    return best;
+  }
+
+  /** Start a scan in idle time if one is due; lookups never wait for it. */
+  function scheduleTableScan() {
+    if (tableScan || tablesFound.size === TABLE_KINDS.length || tableScans >= TABLE_MAX_SCANS) return;
+    if (Date.now() - tableLastScan < TABLE_RETRY_MS) return;
+    tableLastScan = Date.now();
+    tableScans++;
+    tableScan = scanClientTables();
+    whenIdle(stepTableScan);
+  }
+
+  function whenIdle(fn) {
+    if (typeof window.requestIdleCallback === 'function') window.requestIdleCallback(fn, { timeout: 2000 });
+    else setTimeout(fn, 50);
+  }
+
+  function stepTableScan() {
+    const stop = performance.now() + TABLE_SLICE_MS;
+    let step;
+    try {
+      do { step = tableScan.next(); } while (!step.done && performance.now() < stop);
+    } catch {
+      step = { done: true, value: null };
+    }
+    if (!step.done) { whenIdle(stepTableScan); return; }
+    tableScan = null;
+    if (step.value) publishClientTables(step.value);
+  }
+
+  function publishClientTables(best) {
+    const fresh = TABLE_KINDS.filter(k => !tablesFound.has(k) && tableSize(best[k]) >= TABLE_MIN[k]);
+    if (!fresh.length) return;
+
+    const tables = {};
+    for (const kind of fresh) {
+      tablesFound.add(kind);
+      clientTables[kind] = best[kind];
+      tables[kind] = best[kind];
+    }
+    // panel.js caches these and rewrites placeholders stored before we knew them
+    window.dispatchEvent(new CustomEvent(SESSION_EVENT, { detail: {
+      type: 'clientTables',
+      server: SERVER,
+      tables,
+      timestamp: Date.now(),
+    }}));
+  }
+
+  function tableLookup(kind, id, fallback = {}) {
+    if (id === undefined || id === null) return undefined;
+    if (!tablesFound.has(kind)) scheduleTableScan(); // this message keeps its placeholder; the panel backfills it
+    return tableOverrides[kind][id] ?? clientTables[kind][id] ?? fallback[id];
+  }
+
   // ─── Yukon message handler ────────────────────────────────────────────────
   // Called either with a JSON text string (newcp.net encrypted protocol) or
   // with a pre-parsed action + args object (cpjourney.net plaintext protocol).
@@ -414,12 +735,40 @@
 
   /** Entry point for pre-parsed messages (used by the socket.io frame parser). */
   function handleYukonAction(action, args, direction, rawText) {
+    action = PROFILE.actionAliases[action] || action;
+
     // Track all actions for debug
     window.__cpChatLog_events.push({ ts: Date.now(), event: action, direction });
     if (window.__cpChatLog_events.length > 500) window.__cpChatLog_events.shift();
 
     // Update player registry / room state from every message (not just chat)
+    const prevOwnId = ownPlayerId;
     updateRegistryFromMessage(action, args);
+    if (IGLOO_PATTERNS.test(action)) {
+      try { handleIglooAction(args); } catch { /* defensive */ }
+    }
+
+    // Session facts for panel.js: who we are logged in as, and each room joined
+    if (ownPlayerId !== prevOwnId) {
+      window.dispatchEvent(new CustomEvent(SESSION_EVENT, { detail: {
+        type: 'identity',
+        server: SERVER,
+        ownPlayerId,
+        ownUsername,
+        timestamp: Date.now(),
+      }}));
+    }
+    if (action === 'join_room' && args.room !== undefined) {
+      window.dispatchEvent(new CustomEvent(SESSION_EVENT, { detail: {
+        type: 'room',
+        server: SERVER,
+        room: resolveRoomName(args.room),
+        roomId: args.room,
+        timestamp: Date.now(),
+      }}));
+      // The game is up by now; find its tables for the backfill
+      scheduleTableScan();
+    }
 
     // Dispatch player events for join/add/remove actions
     if (action === 'join_room' || action === 'add_player' || action === 'remove_player') {
@@ -429,8 +778,10 @@
           if (u && u.id !== undefined) {
             window.dispatchEvent(new CustomEvent(PLAYER_EVENT, { detail: {
               type: 'join',
+              server: SERVER,
               player: { id: Number(u.id), username: u.username || u.nickname || `Penguin #${u.id}`, nickname: u.nickname || u.username || `Penguin #${u.id}` },
-              room: currentRoomId,
+              room: resolveRoomName(currentRoomId),
+              roomId: currentRoomId,
               timestamp: Date.now(),
             }}));
           }
@@ -440,18 +791,21 @@
         if (u && u.id !== undefined) {
           window.dispatchEvent(new CustomEvent(PLAYER_EVENT, { detail: {
             type: 'add',
+            server: SERVER,
             player: { id: Number(u.id), username: u.username || u.nickname || `Penguin #${u.id}`, nickname: u.nickname || u.username || `Penguin #${u.id}` },
-            room: currentRoomId,
+            room: resolveRoomName(currentRoomId),
+            roomId: currentRoomId,
             timestamp: Date.now(),
           }}));
         }
       } else if (action === 'remove_player') {
         if (args.user !== undefined) {
-          // Player was already removed from registry, so build minimal data
           window.dispatchEvent(new CustomEvent(PLAYER_EVENT, { detail: {
             type: 'remove',
+            server: SERVER,
             player: { id: Number(args.user), username: lookupUsername(args.user) || `Penguin #${args.user}`, nickname: null },
-            room: currentRoomId,
+            room: resolveRoomName(currentRoomId),
+            roomId: currentRoomId,
             timestamp: Date.now(),
           }}));
         }
@@ -480,20 +834,17 @@
     if (action === 'send_message') {
       messageText = args.message ? String(args.message) : null;
     } else if (action === 'send_safe') {
-      // Safe messages are indexed; show the index until we have a lookup table
+      // Safe messages are indexed; keep the index if the table isn't found
       messageText = args.message
         ? String(args.message)
-        : (args.safe !== undefined ? `[Safe #${args.safe}]` : null);
+        : args.safe !== undefined ? (tableLookup('safe', args.safe) || `[Safe #${args.safe}]`)
+          // Phrase chat (sendPhraseChatMessage) names its phrase instead
+          : args.phrase !== undefined ? (tableLookup('phrases', args.phrase) || `[Phrase #${args.phrase}]`) : null;
     } else if (action === 'send_emote') {
-      const emoteId = args.emote;
-      messageText = emoteId !== undefined && EMOTE_NAMES[emoteId]
-        ? `[Emote: ${EMOTE_NAMES[emoteId]}]`
-        : `[Emote #${emoteId ?? '?'}]`;
+      const emoteName = tableLookup('emotes', args.emote, EMOTE_NAMES);
+      messageText = emoteName ? `[Emote: ${emoteName}]` : `[Emote #${args.emote ?? '?'}]`;
     } else if (action === 'send_joke') {
-      const jokeId = args.joke;
-      messageText = jokeId !== undefined && JOKE_TEXTS[jokeId]
-        ? JOKE_TEXTS[jokeId]
-        : `[Joke #${jokeId ?? '?'}]`;
+      messageText = tableLookup('jokes', args.joke, JOKE_TEXTS) || `[Joke #${args.joke ?? '?'}]`;
     } else if (action === 'send_tour' || action === 'give_tour') {
       messageText = args.message ? String(args.message) : `[Tour]`;
     } else if (action === 'send_stage') {
@@ -525,6 +876,9 @@
 
     const rawRoom = args.room !== undefined ? args.room : args.room_id;
     const raw = rawText || JSON.stringify({ action, args }).slice(0, 400);
+    const mentions = action === 'send_message' || action === 'send_safe'
+      ? findMentions(messageText, senderId !== null && senderId !== undefined ? Number(senderId) : null)
+      : [];
     dispatch({
       timestamp: Date.now(),
       username,
@@ -533,9 +887,11 @@
       eventName: action,
       direction,
       raw:       raw.slice(0, 400),
+      server:    SERVER,
       playerId:  senderId !== null && senderId !== undefined ? Number(senderId) : null,
-      isIgnored: ignoreList.has(username),
-      isFriend:  friendList.has(username),
+      isIgnored: listHasSender(ignoreList, senderId, username),
+      isFriend:  listHasSender(friendList, senderId, username),
+      ...(mentions.length ? { mentions } : {}),
     });
   }
 
@@ -544,6 +900,7 @@
   /**
    * Parse a plaintext socket.io v3/v4 text frame.
    * Format: 42["event_name",{...}]  (engine.io message + socket.io EVENT)
+   * `values` keeps every argument, for servers that send them positionally.
    */
   function parseSocketIOTextFrame(frame) {
     if (typeof frame !== 'string' || frame.length < 3) return null;
@@ -559,7 +916,7 @@
     const arr = tryJSON(frame.slice(jsonStart));
     if (!Array.isArray(arr) || arr.length < 1 || typeof arr[0] !== 'string') return null;
 
-    return { eventName: arr[0], payload: arr[1] || {} };
+    return { eventName: arr[0], payload: arr[1] || {}, values: arr.slice(1) };
   }
 
   // ─── Minimal msgpack decoder ────────────────────────────────────────────────
@@ -663,7 +1020,7 @@
   }
 
   /**
-   * Parse a msgpack-encoded socket.io packet (cpjourney.net).
+   * Parse a msgpack-encoded socket.io packet (wire: 'msgpack').
    * Expected structure: { type: 2, data: ["message", {action, args}], nsp: "/" }
    * Returns the inner Yukon {action, args} or null.
    */
@@ -677,19 +1034,82 @@
     // data[0] is the event name, data[1] is the payload
     const eventName = data[0];
     const payload   = data[1];
-    if (typeof eventName !== 'string' || !payload || typeof payload !== 'object') return null;
-    return { eventName, payload };
+    if (typeof eventName !== 'string' || payload === undefined || payload === null) return null;
+    return { eventName, payload, values: data.slice(1) };
+  }
+
+  // ─── Frame dispatch ───────────────────────────────────────────────────────
+  // Both WebSocket layers hand raw frames here. Text frames are socket.io's
+  // JSON wire format; binary frames are decoded only on msgpack servers.
+
+  const _msgpackQueue     = [];
+  let   _msgpackScheduled = false;
+
+  function drainMsgpackQueue() {
+    _msgpackScheduled = false;
+    const batch = _msgpackQueue.splice(0, _msgpackQueue.length);
+    for (const { buf, direction } of batch) {
+      try {
+        const parsed = parseMsgpackSocketIOFrame(buf);
+        if (parsed) processSocketIOEvent(parsed.eventName, parsed.payload, direction, undefined, parsed.values);
+      } catch { /* not parseable */ }
+    }
+  }
+
+  function processSocketIOEvent(eventName, payload, direction, rawText, values = [payload]) {
+    if (eventName === 'message' && payload && typeof payload.action === 'string') {
+      handleYukonAction(payload.action, payload.args || {}, direction, rawText);
+    } else {
+      handleYukonAction(eventName, eventArgs(eventName, payload, values), direction, rawText);
+    }
+  }
+
+  /**
+   * Multi-event servers may pass arguments positionally
+   * (42["sendSafeMessage",12]); the profile's eventArgs names them, so the
+   * action gets the same args object Yukon's "message" event carries.
+   */
+  function eventArgs(eventName, payload, values) {
+    // values, not payload: a falsy first argument (safe message 0) became {}
+    if (values[0] === undefined || (values[0] && typeof values[0] === 'object')) return payload || {};
+    const names = PROFILE.eventArgs[eventName];
+    if (!names) return {};
+    const args = {};
+    names.forEach((name, i) => { if (values[i] !== undefined) args[name] = values[i]; });
+    return args;
+  }
+
+  function handleRawFrame(data, direction) {
+    // Text frames (standard socket.io JSON)
+    if (typeof data === 'string') {
+      const parsed = parseSocketIOTextFrame(data);
+      if (parsed) processSocketIOEvent(parsed.eventName, parsed.payload, direction, data, parsed.values);
+      return;
+    }
+    if (PROFILE.wire !== 'msgpack') return;
+    // Binary frames (msgpack-encoded socket.io) — queue for async decode
+    try {
+      const buf = data instanceof ArrayBuffer ? data
+                : data.buffer instanceof ArrayBuffer ? data.buffer
+                : null;
+      if (!buf || buf.byteLength > 8192) return;
+      _msgpackQueue.push({ buf: buf.slice(0), direction });
+      if (!_msgpackScheduled) {
+        _msgpackScheduled = true;
+        setTimeout(drainMsgpackQueue, 0);
+      }
+    } catch { /* ignore */ }
   }
 
   // ─── Layer 1: crypto.subtle hook ──────────────────────────────────────────
-  // newcp.net encrypts every socket.io message payload with AES before sending
-  // and decrypts it on receipt. By intercepting at the crypto boundary we get
-  // clean plaintext regardless of the encryption scheme used.
+  // AES-over-JSON servers (newcp.net) encrypt every socket.io message payload
+  // before sending and decrypt it on receipt. By intercepting at the crypto
+  // boundary we get clean plaintext regardless of the encryption scheme used.
 
   (function patchCrypto() {
-    // cpjourney.net does NOT use crypto — skip to avoid triggering bot protection
-    if (location.hostname === 'play.cpjourney.net' || location.hostname === 'cpjourney.net') {
-      console.debug('[CP Chat Log] crypto.subtle hook skipped (not needed on cpjourney)');
+    // Other servers don't use crypto — skip to avoid triggering bot protection
+    if (PROFILE.wire !== 'aes-json') {
+      console.debug(`[CP Chat Log] crypto.subtle hook skipped (not needed on ${SERVER})`);
       return;
     }
 
@@ -724,33 +1144,17 @@
     console.debug('[CP Chat Log] crypto.subtle hook installed');
   })();
 
-  // ─── Layer 2a: WebSocket prototype hooks (newcp.net ONLY) ────────────────
+  // ─── Layer 2a: WebSocket prototype hooks (stealth: false) ────────────────
   // Modifies WebSocket.prototype — fine on newcp.net which has no hCaptcha,
-  // but would trigger bot-detection on cpjourney.net, so we skip it there.
+  // but would trigger bot-detection on cpjourney.net, so stealth profiles
+  // skip it.
 
   (function patchWebSocket() {
-    if (IS_CPJOURNEY) return; // cpjourney uses Layer 2b instead
+    if (PROFILE.stealth) return; // stealth profiles use Layer 2b instead
 
     const WSProto = WebSocket.prototype;
     if (!WSProto) return;
 
-    function handleRawFrame(data, direction) {
-      if (typeof data === 'string') {
-        const parsed = parseSocketIOTextFrame(data);
-        if (parsed) {
-          processSocketIOEvent(parsed.eventName, parsed.payload, direction, data);
-        }
-      }
-    }
-
-    function processSocketIOEvent(eventName, payload, direction, rawText) {
-      if (eventName === 'message' && payload && typeof payload.action === 'string') {
-        handleYukonAction(payload.action, payload.args || {}, direction, rawText);
-      } else {
-        handleYukonAction(eventName, payload || {}, direction, rawText);
-      }
-    }
-
     const _origSend = WSProto.send;
     WSProto.send = function (data) {
       try { handleRawFrame(data, 'out'); } catch { /* ignore */ }
@@ -791,10 +1195,10 @@
       });
     }
 
-    console.debug('[CP Chat Log] WebSocket prototype hooks installed (newcp mode)');
+    console.debug(`[CP Chat Log] WebSocket prototype hooks installed (${SERVER})`);
   })();
 
-  // ─── Layer 2b: stealth EventTarget hook (cpjourney.net ONLY) ─────────────
+  // ─── Layer 2b: stealth EventTarget hook (stealth: true) ──────────────────
   // hCaptcha on cpjourney detects modifications to WebSocket.prototype.
   // Instead, we hook EventTarget.prototype.addEventListener (a generic API
   // that many libraries legitimately modify — unlikely to be fingerprinted)
@@ -803,7 +1207,7 @@
   // detect it and piggyback our own listener + send wrapper on that instance.
 
   (function interceptViaEventTarget() {
-    if (!IS_CPJOURNEY) return;
+    if (!PROFILE.stealth) return;
 
     // ── toString masking: make patched functions report [native code] ──
     const _fnToStr   = Function.prototype.toString;
@@ -815,50 +1219,6 @@
     };
     _masked.set(Function.prototype.toString, _fnToStr.call(_fnToStr));
 
-    // ── Msgpack decode queue (reused from earlier definition) ──
-    const _msgpackQueue     = [];
-    let   _msgpackScheduled = false;
-
-    function drainMsgpackQueue() {
-      _msgpackScheduled = false;
-      const batch = _msgpackQueue.splice(0, _msgpackQueue.length);
-      for (const { buf, direction } of batch) {
-        try {
-          const parsed = parseMsgpackSocketIOFrame(buf);
-          if (parsed) processEvent(parsed.eventName, parsed.payload, direction);
-        } catch { /* not parseable */ }
-      }
-    }
-
-    function processEvent(eventName, payload, direction, rawText) {
-      if (eventName === 'message' && payload && typeof payload.action === 'string') {
-        handleYukonAction(payload.action, payload.args || {}, direction, rawText);
-      } else {
-        handleYukonAction(eventName, payload || {}, direction, rawText);
-      }
-    }
-
-    function handleRawFrame(data, direction) {
-      // Text frames (standard socket.io JSON)
-      if (typeof data === 'string') {
-        const parsed = parseSocketIOTextFrame(data);
-        if (parsed) processEvent(parsed.eventName, parsed.payload, direction, data);
-        return;
-      }
-      // Binary frames (msgpack-encoded socket.io) — queue for async decode
-      try {
-        const buf = data instanceof ArrayBuffer ? data
-                  : data.buffer instanceof ArrayBuffer ? data.buffer
-                  : null;
-        if (!buf || buf.byteLength > 8192) return;
-        _msgpackQueue.push({ buf: buf.slice(0), direction });
-        if (!_msgpackScheduled) {
-          _msgpackScheduled = true;
-          setTimeout(drainMsgpackQueue, 0);
-        }
-      } catch { /* ignore */ }
-    }
-
     // ── Helper: hook a WebSocket instance the first time we see it ──
     function hookWSInstance(ws) {
       if (ws.__cpclHooked) return;
@@ -924,14 +1284,14 @@
       _masked.set(maskedSet, _fnToStr.call(_origSet));
     }
 
-    console.debug('[CP Chat Log] stealth hooks installed (cpjourney mode)');
+    console.debug(`[CP Chat Log] stealth hooks installed (${SERVER})`);
   })();
 
-  // ─── Layer 3: DOM MutationObserver (newcp.net only) ─────────────────────
+  // ─── Layer 3: DOM MutationObserver (domFallback: true) ──────────────────
   // cpjourney renders chat in Phaser canvas, not DOM, so this is useless there.
 
   (function observeDOM() {
-    if (IS_CPJOURNEY) return;
+    if (!PROFILE.domFallback) return;
 
     const CHAT_SELECTORS = [
       '.chat-message', '.chatMessage', '.chat_message',
@@ -964,6 +1324,7 @@
         room:      getCurrentRoom() || '(unknown)',
         eventName: 'dom:chat', direction: 'in',
         raw:       node.outerHTML.slice(0, 300),
+        server:    SERVER,
       });
     }
 
@@ -978,12 +1339,10 @@
       : start();
   })();
 
-  // ─── Expose data for panel.js ────────────────────────────────────────────
+  // ─── Expose state for console debugging ──────────────────────────────────
 
   window.__cpChatLog_friends        = friendList;
   window.__cpChatLog_ignored        = ignoreList;
-  window.__cpChatLog_saveFriends    = () => saveSet(STORAGE_KEY_FRIENDS, friendList);
-  window.__cpChatLog_saveIgnored    = () => saveSet(STORAGE_KEY_IGNORED, ignoreList);
   window.__cpChatLog_playerRegistry = playerRegistry;
   window.__cpChatLog_buddyState     = buddyState;
   window.__cpChatLog_worldState     = worldState;
@@ -997,7 +1356,7 @@
     const decrypted = window.__cpChatLog_decrypted  || [];
 
     console.group('[CP Chat Log] Debug snapshot');
-    console.log(`Mode: ${IS_CPJOURNEY ? 'cpjourney (socket.io intercept)' : 'newcp (crypto + WS hooks)'}`);
+    console.log(`Profile: ${SERVER} (wire ${PROFILE.wire}${PROFILE.stealth ? ', stealth hooks' : ', WS prototype hooks'})`);
     console.log(`Own identity: id=${ownPlayerId} username=${ownUsername}`);
     console.log(`Current room: ${currentRoomId}`);
     console.log(`Player registry size: ${playerRegistry.size}`);
@@ -1005,6 +1364,7 @@
       console.log('Registry entries:');
       playerRegistry.forEach((v, k) => console.log(` ${k} → ${v.nickname || v.username}`));
     }
+    console.log(`Departed names kept: ${departedNames.size}`);
     console.log(`Decrypted messages captured: ${decrypted.length}`);
     if (decrypted.length) {
       console.log('Last 5 decrypted payloads:');
@@ -1020,5 +1380,5 @@
     return { events, frames, decrypted, playerRegistry, ownPlayerId, ownUsername, currentRoomId };
   };
 
-  console.debug(`[CP Chat Log] Hook loaded (${IS_CPJOURNEY ? 'cpjourney' : 'newcp'} mode)`);
+  console.debug(`[CP Chat Log] Hook loaded (${SERVER}, ${PROFILE.wire})`);
 })();
@@ -1,38 +1,44 @@
 'use strict';
 
-const DB_NAME    = 'CPChatLog';
-const DB_VERSION = 1;
-const STORE_NAME = 'messages';
-
-function openDB() {
-  return new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, DB_VERSION);
-    req.onsuccess = e => resolve(e.target.result);
-    req.onerror   = e => reject(e.target.error);
-    // If DB doesn't exist yet (no game visit), resolve null
-    req.onblocked = () => resolve(null);
+// All data lives in the background service worker's store, shared with the
+// in-game panel on every server.
+
+function sendToBackground(type, payload = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type, ...payload }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.ok) return resolve(null);
+      resolve(response.result);
+    });
   });
 }
 
-async function getAll(db, search = '') {
-  if (!db) return [];
-  return new Promise(resolve => {
-    const tx    = db.transaction(STORE_NAME, 'readonly');
-    const store = tx.objectStore(STORE_NAME);
-    const req   = store.getAll();
-    req.onsuccess = e => {
-      let r = e.target.result;
-      if (search) {
-        const q = search.toLowerCase();
-        r = r.filter(m =>
-          m.message.toLowerCase().includes(q) ||
-          m.username.toLowerCase().includes(q)
-        );
-      }
-      resolve(r);
-    };
-    req.onerror = () => resolve([]);
-  });
+function queryFilter(search = '', server = '', sort = 'recent', includeIgnored = false) {
+  const filter = {};
+  if (includeIgnored) filter.includeIgnored = true;
+  if (search) Object.assign(filter, { query: search, sort }); // same operators as the panel
+  if (server) filter.server = server;
+  return filter;
+}
+
+/** The newest `limit` matching messages, oldest first (best match last when searching). */
+async function getRecent(search = '', server = '', limit = 30) {
+  const page = await sendToBackground('db:query', { filter: queryFilter(search, server, 'relevance'), limit });
+  return page ? page.records : [];
+}
+
+/** Every matching message, oldest first, fetched a page at a time. */
+async function getAll(search = '', server = '', includeIgnored = false) {
+  const all = [];
+  let cursor = null;
+  for (;;) {
+    const page = await sendToBackground('db:query', {
+      filter: queryFilter(search, server, 'recent', includeIgnored), direction: 'next', cursor, limit: 2000,
+    });
+    if (!page) return all;
+    all.push(...page.records);
+    if (page.done) return all;
+    cursor = page.cursor;
+  }
 }
 
 function escHtml(s) {
@@ -49,6 +55,27 @@ function csvEscape(val) {
   return s;
 }
 
+/** "Current (formerly X, Y)" for a record decorated by the background store. */
+function displayName(r) {
+  const name = r.currentName || r.username;
+  return r.formerNames && r.formerNames.length
+    ? `${name} (formerly ${r.formerNames.join(', ')})`
+    : name;
+}
+
+function escRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Message HTML with any of our own names marked. */
+function markOwnNames(text, names) {
+  const html = escHtml(text);
+  if (!names.length) return html;
+  const alts = names.map(n => escRegex(escHtml(n))).join('|');
+  return html.replace(new RegExp(`(^|[^\\p{L}\\p{N}_])(@?(?:${alts}))(?![\\p{L}\\p{N}_])`, 'giu'),
+    (m, pre, name) => `${pre}<mark class="popup-mention-me">${name}</mark>`);
+}
+
 function formatTime(ts) {
   const d = new Date(ts);
   return d.toLocaleString([], { month: 'short', day: 'numeric',
@@ -56,57 +83,112 @@ function formatTime(ts) {
 }
 
 (async () => {
-  let db;
-  try { db = await openDB(); } catch { db = null; }
-
-  const all = await getAll(db);
+  // Server selector — scopes stats, search and export
+  const serverEl = document.getElementById('popup-server');
+  const servers  = (await sendToBackground('db:servers')) || [];
+  for (const srv of servers) {
+    const opt = document.createElement('option');
+    opt.value = srv; opt.textContent = srv;
+    serverEl.appendChild(opt);
+  }
 
-  // Stats
-  const rooms = new Set(all.map(m => m.room));
-  const users  = new Set(all.map(m => m.username));
-  document.getElementById('stat-total').textContent = all.length.toLocaleString();
-  document.getElementById('stat-rooms').textContent = rooms.size;
-  document.getElementById('stat-users').textContent = users.size;
+  // Names we've logged in as, highlighted wherever they're mentioned
+  const sessions = (await sendToBackground('sessions:list', {})) || [];
+  const ownNames = [...new Set(sessions.map(s => s.ownUsername)
+    .filter(n => n && !/^Penguin #\d+$/.test(n)))].sort((a, b) => b.length - a.length);
 
   // Search
   const searchEl  = document.getElementById('popup-search');
   const resultsEl = document.getElementById('popup-results');
 
+  async function refresh() {
+    const stats = await sendToBackground('db:stats', { server: serverEl.value });
+    document.getElementById('stat-total').textContent = (stats ? stats.total : 0).toLocaleString();
+    document.getElementById('stat-rooms').textContent = stats ? stats.uniqueRooms : 0;
+    document.getElementById('stat-users').textContent = stats ? stats.uniquePlayers : 0;
+
+    renderResults(await getRecent(searchEl.value.trim(), serverEl.value));
+  }
+
+  function resultItem(r, hit = false) {
+    return `
+      <div class="popup-result-item${hit ? ' popup-result-hit' : ''}" data-id="${r.id}">
+        <div>
+          <span class="popup-result-user">${escHtml(displayName(r))}</span>
+          <span class="popup-result-room">${escHtml(r.room)}${r.server && !serverEl.value ? ' \u00B7 ' + escHtml(r.server) : ''}</span>
+          <span class="popup-result-time">${escHtml(formatTime(r.timestamp))}</span>
+        </div>
+        <div class="popup-result-text">${markOwnNames(r.message, r.direction === 'out' ? [] : ownNames)}</div>
+      </div>
+    `;
+  }
+
+  let lastResults = [];
+  let context     = null; // { id, before, after, returnTop } while a context view is open
+
   function renderResults(records) {
+    lastResults = records;
+    context     = null;
     if (records.length === 0) {
       resultsEl.innerHTML = '<div class="popup-empty">No messages found.</div>';
       return;
     }
-    // Show most recent 30
-    const shown = records.slice(-30).reverse();
-    resultsEl.innerHTML = shown.map(r => `
-      <div class="popup-result-item">
-        <div>
-          <span class="popup-result-user">${escHtml(r.username)}</span>
-          <span class="popup-result-room">${escHtml(r.room)}</span>
-          <span class="popup-result-time">${escHtml(formatTime(r.timestamp))}</span>
-        </div>
-        <div class="popup-result-text">${escHtml(r.message)}</div>
-      </div>
-    `).join('');
+    // Most recent first
+    resultsEl.innerHTML = records.slice().reverse().map(r => resultItem(r)).join('');
   }
 
+  // Context: the conversation around a clicked result (same room and session)
+  const CONTEXT_STEP = 5;
+
+  async function showContext(id, before = CONTEXT_STEP, after = CONTEXT_STEP) {
+    const ctx = await sendToBackground('db:context', { id, before, after });
+    if (!ctx) return;
+    const widen = context && context.id === id;
+    context = { returnTop: widen ? context.returnTop : resultsEl.scrollTop, id, before, after };
+    resultsEl.innerHTML = `
+      <button class="popup-btn popup-context-back" data-context="back">\u2190 Back to results</button>
+      ${ctx.moreBefore ? '<button class="popup-context-more" data-context="before">\u2191 Show earlier</button>' : ''}
+      ${ctx.records.map(r => resultItem(r, r.id === ctx.hit)).join('')}
+      ${ctx.moreAfter ? '<button class="popup-context-more" data-context="after">\u2193 Show later</button>' : ''}
+    `;
+    if (!widen) resultsEl.querySelector('.popup-result-hit').scrollIntoView({ block: 'center' });
+  }
+
+  resultsEl.addEventListener('click', (e) => {
+    const action = e.target.closest('[data-context]');
+    if (action && context) {
+      const { id, before, after, returnTop } = context;
+      if (action.dataset.context === 'back') {
+        renderResults(lastResults);
+        resultsEl.scrollTop = returnTop;
+      } else if (action.dataset.context === 'before') {
+        showContext(id, before + CONTEXT_STEP, after);
+      } else {
+        showContext(id, before, after + CONTEXT_STEP);
+      }
+      return;
+    }
+    const item = e.target.closest('.popup-result-item');
+    if (item && !context) showContext(Number(item.dataset.id));
+  });
+
   // Initial render (most recent 30)
-  renderResults(all);
+  await refresh();
+  serverEl.addEventListener('change', refresh);
 
   let debounceTimer;
   searchEl.addEventListener('input', () => {
     clearTimeout(debounceTimer);
     debounceTimer = setTimeout(async () => {
       const q       = searchEl.value.trim();
-      const results = await getAll(db, q);
+      const results = await getRecent(q, serverEl.value);
       renderResults(results);
     }, 200);
   });
 
   // Export
   document.getElementById('btn-export').addEventListener('click', async () => {
-    const records = await getAll(db);
+    const records = await getAll('', serverEl.value, document.getElementById('export-ignored').checked);
     if (!records.length) { alert('No messages to export.'); return; }
 
     const format = document.getElementById('export-format').value;
@@ -117,7 +199,7 @@ function formatTime(ts) {
       mimeType = 'application/json';
       ext      = 'json';
     } else if (format === 'csv') {
-      const header = ['timestamp', 'username', 'message', 'room', 'eventName', 'direction', 'session'];
+      const header = ['timestamp', 'username', 'currentName', 'formerNames', 'playerId', 'message', 'room', 'server', 'eventName', 'direction', 'session'];
       const rows = records.map(r => header.map(h => csvEscape(r[h] ?? '')).join(','));
       content  = header.join(',') + '\n' + rows.join('\n');
       mimeType = 'text/csv';
@@ -125,7 +207,7 @@ function formatTime(ts) {
     } else {
       const lines = records.map(r => {
         const d = new Date(r.timestamp).toLocaleString();
-        return `[${d}] [${r.room}] ${r.username}: ${r.message}`;
+        return `[${d}] [${r.room}${r.server ? ' @ ' + r.server : ''}] ${displayName(r)}: ${r.message}`;
       });
       content  = lines.join('\n');
       mimeType = 'text/plain';
@@ -140,16 +222,107 @@ function formatTime(ts) {
     URL.revokeObjectURL(url);
   });
 
+  // Servers: the built-in profiles, plus any Yukon server the user let us onto
+  const { PROFILES, builtinFor, originPattern } = globalThis.__cpChatLog_servers;
+  const serversEl = document.getElementById('popup-servers');
+
+  async function renderServers() {
+    const { extraServers = [] } = await chrome.storage.sync.get('extraServers');
+    const granted = await Promise.all(extraServers.map(pattern => chrome.permissions.contains({ origins: [pattern] })));
+    serversEl.innerHTML = [
+      ...PROFILES.map(p => `
+        <div class="popup-server-row">
+          <span class="popup-server-name">${escHtml(p.label)}</span>
+          <span class="popup-server-note">${escHtml(p.id)} \u00B7 built in</span>
+        </div>`),
+      ...extraServers.map((pattern, i) => `
+        <div class="popup-server-row">
+          <span class="popup-server-name">${escHtml(pattern.replace(/\/\*$/, ''))}</span>
+          ${granted[i]
+            ? '<span class="popup-server-note">Yukon</span>'
+            : `<button class="popup-link" data-allow="${escHtml(pattern)}">Allow access</button>`}
+          <button class="popup-link" data-remove-server="${escHtml(pattern)}" title="Stop capturing here">\u2715</button>
+        </div>`),
+    ].join('');
+  }
+
+  async function setExtraServers(change) {
+    const { extraServers = [] } = await chrome.storage.sync.get('extraServers');
+    await chrome.storage.sync.set({ extraServers: change(extraServers) });
+  }
+
+  document.getElementById('btn-server-add').addEventListener('click', async () => {
+    const input   = document.getElementById('popup-server-origin');
+    const pattern = originPattern(input.value);
+    if (!pattern) { alert('Enter the address the game is played at, e.g. play.example.com'); return; }
+    if (builtinFor(pattern.replace(/\*$/, ''))) { alert('That server is already supported.'); return; }
+    // Ask while this still counts as a click. The popup can close behind the
+    // prompt, so the server is listed either way and can be allowed later.
+    const request = chrome.permissions.request({ origins: [pattern] }).catch(() => false);
+    await setExtraServers(list => (list.includes(pattern) ? list : [...list, pattern]));
+    input.value = '';
+    await request;
+    renderServers();
+  });
+
+  serversEl.addEventListener('click', async (e) => {
+    const allow  = e.target.closest('[data-allow]');
+    const remove = e.target.closest('[data-remove-server]');
+    if (allow) {
+      await chrome.permissions.request({ origins: [allow.dataset.allow] }).catch(() => false);
+    } else if (remove) {
+      const pattern = remove.dataset.removeServer;
+      await setExtraServers(list => list.filter(p => p !== pattern));
+      await chrome.permissions.remove({ origins: [pattern] }).catch(() => false);
+    } else {
+      return;
+    }
+    renderServers();
+  });
+
+  renderServers();
+
+  // Developer mode: one local Yukon server (http by default), on or off
+  const DEV_ORIGIN = 'http://localhost:8080';
+  const devEnabledEl = document.getElementById('popup-dev-enabled');
+  const devOriginEl  = document.getElementById('popup-dev-origin');
+  const devStatusEl  = document.getElementById('popup-dev-status');
+
+  async function renderDevServer() {
+    const { devServer = { enabled: false, origin: DEV_ORIGIN } } = await chrome.storage.sync.get('devServer');
+    const pattern = originPattern(devServer.origin, 'http');
+    devEnabledEl.checked = !!devServer.enabled;
+    devOriginEl.value    = devServer.origin;
+    devOriginEl.disabled = !!devServer.enabled;
+    devStatusEl.textContent = !devServer.enabled ? ''
+      : pattern && await chrome.permissions.contains({ origins: [pattern] }) ? 'Capturing' : 'No access';
+  }
+
+  devEnabledEl.addEventListener('change', async () => {
+    const origin  = devOriginEl.value.trim() || DEV_ORIGIN;
+    const pattern = originPattern(origin, 'http');
+    if (devEnabledEl.checked) {
+      if (!pattern) { devEnabledEl.checked = false; alert('Enter the address your server runs at, e.g. http://localhost:8080'); return; }
+      if (builtinFor(pattern.replace(/\*$/, ''))) { devEnabledEl.checked = false; alert('That server is already supported.'); return; }
+      // As with Add: ask first, while this still counts as a click
+      const request = chrome.permissions.request({ origins: [pattern] }).catch(() => false);
+      await chrome.storage.sync.set({ devServer: { enabled: true, origin } });
+      await request;
+    } else {
+      await chrome.storage.sync.set({ devServer: { enabled: false, origin } });
+    }
+    renderDevServer();
+  });
+
+  renderDevServer();
+
   // Clear
   document.getElementById('btn-clear').addEventListener('click', async () => {
-    if (!db) return;
     if (!confirm('Clear ALL chat history? This cannot be undone.')) return;
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    tx.objectStore(STORE_NAME).clear().onsuccess = () => {
-      document.getElementById('stat-total').textContent = '0';
-      document.getElementById('stat-rooms').textContent = '0';
-      document.getElementById('stat-users').textContent = '0';
-      renderResults([]);
-    };
+    await sendToBackground('db:clear');
+    document.getElementById('stat-total').textContent = '0';
+    document.getElementById('stat-rooms').textContent = '0';
+    document.getElementById('stat-users').textContent = '0';
+    renderResults([]);
   });
 })();
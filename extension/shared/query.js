@@ -0,0 +1,169 @@
+/**
+ * query.js — the search query language.
+ *
+ * One parser and one set of operator tests for everywhere a query is
+ * matched: the background worker's history search (importScripts) and the
+ * panel's live filter, saved searches and export (loaded ahead of panel.js).
+ * Full-text matching stays with each caller — the worker goes through its
+ * token index, the panel matches the record in hand.
+ *
+ *   from:name  room:"Coffee Shop"  server:cpjourney  before:2026-10-01
+ *   after:2026-09-01  type:emote|joke|safe|tour|chat|stage  dir:in|out
+ *   is:bookmarked|friend|alert
+ *
+ * "|" separates alternatives, and a leading "-" negates an operator, word or
+ * phrase. Dates are local days (after: includes the day, before: excludes
+ * it), today / yesterday, a span back from now (12h, 7d, 2w) or anything
+ * Date.parse accepts. Remaining text is full-text search: words, "quoted
+ * phrases", word* for a prefix; the last word is also a prefix while typing.
+ * An operator with no value yet (mid-typing) is ignored.
+ */
+
+(function () {
+  'use strict';
+
+  const QUERY_KEYS  = Object.freeze(['from', 'room', 'server', 'before', 'after', 'type', 'dir', 'is']);
+  const TYPE_EVENTS = Object.freeze({
+    chat:  ['send_message', 'dom:chat'],
+    safe:  ['send_safe'],
+    emote: ['send_emote'],
+    joke:  ['send_joke'],
+    tour:  ['send_tour', 'give_tour'],
+    stage: ['send_stage'],
+  });
+
+  function foldText(s) {
+    return String(s).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  function tokenize(s) {
+    return foldText(s).match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  /** Query text -> [{ words, phrase, prefix }]. */
+  function parseSearch(q) {
+    const terms = [];
+    const re = /"([^"]*)"?|(\S+)/g;
+    let m;
+    while ((m = re.exec(q))) {
+      const raw   = m[1] !== undefined ? m[1] : m[2];
+      const words = tokenize(raw);
+      if (!words.length) continue;
+      // A bare word like "o'clock" folds to two tokens, so it's a short phrase too
+      terms.push({ words, phrase: m[1] !== undefined || words.length > 1, prefix: raw.endsWith('*') });
+    }
+    const last = terms[terms.length - 1];
+    if (last && !/[\s"]$/.test(q)) last.prefix = true;
+    return terms;
+  }
+
+  /** Query text -> { clauses: [{ key, values, negate }], search, exclude: [term] }. */
+  function parseQuery(q) {
+    const clauses = [];
+    const text    = [];
+    const exclude = [];
+    let last = null; // 'text' | 'exclude' | null, for the word being typed
+    const re = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|([^\s"]+))?/gi;
+    let m;
+    while ((m = re.exec(q))) {
+      if (!m[0]) { re.lastIndex++; continue; }
+      const [, neg, rawKey, quoted, bare] = m;
+      const key   = rawKey && rawKey.toLowerCase();
+      const value = quoted !== undefined ? quoted : (bare || '');
+      last = null;
+      if (key && QUERY_KEYS.includes(key)) {
+        const values = value.split('|').map(v => v.trim()).filter(Boolean);
+        if (values.length) clauses.push({ key, values, negate: !!neg });
+        continue;
+      }
+      const raw  = rawKey ? `${rawKey}:${value}` : value;
+      const term = quoted !== undefined && !rawKey ? `"${quoted}"` : raw;
+      if (!tokenize(raw).length) continue;
+      if (neg) { exclude.push(...parseSearch(term + ' ')); last = 'exclude'; }
+      else { text.push(term); last = 'text'; }
+    }
+    // Only the word being typed is a prefix — not one followed by an operator
+    const typing = !/[\s"]$/.test(q);
+    if (typing && last === 'exclude') exclude[exclude.length - 1].prefix = true;
+    const search = text.join(' ') + (typing && last === 'text' ? '' : ' ');
+    return { clauses, search: search.trim() ? search : '', exclude };
+  }
+
+  /** "2026-10-01" -> local midnight; today, yesterday, 12h, 7d, 2w -> that long ago; else Date.parse. */
+  function parseQueryDate(v) {
+    const now      = new Date();
+    const midnight = (days) => new Date(now.getFullYear(), now.getMonth(), now.getDate() - days).getTime();
+    if (v === 'today')     return midnight(0);
+    if (v === 'yesterday') return midnight(1);
+    const ago = /^(\d+)([hdw])$/.exec(v);
+    if (ago) return ago[2] === 'h' ? now.getTime() - ago[1] * 3_600_000 : midnight(ago[1] * (ago[2] === 'w' ? 7 : 1));
+    const d = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(v);
+    return d ? new Date(+d[1], d[2] - 1, +d[3]).getTime() : Date.parse(v);
+  }
+
+  /** The values of a clause that can be tested (unparseable dates drop out). */
+  function clauseValues(c) {
+    return (c.key === 'before' || c.key === 'after')
+      ? c.values.filter(v => !Number.isNaN(parseQueryDate(v)))
+      : c.values;
+  }
+
+  /**
+   * One clause value -> record test. ctx supplies what a record can't say
+   * for itself:
+   *   named       Set of "server|id" for penguins that ever used a from: name
+   *   bookmarked  (record) -> bool
+   *   friend      (record) -> bool
+   */
+  function clauseTest(key, value, ctx) {
+    const v = foldText(value);
+    switch (key) {
+      case 'from':
+        return (r) => foldText(r.username) === v
+          || (r.playerId != null && ctx.named.has(`${r.server}|${r.playerId}`));
+      case 'room':   return (r) => foldText(r.room || '') === v;
+      case 'server': return (r) => (r.server || '').includes(v);
+      case 'type': {
+        const events = TYPE_EVENTS[v] || [value];
+        return (r) => events.includes(r.eventName);
+      }
+      case 'dir':    return (r) => r.direction === v;
+      case 'before': {
+        const t = parseQueryDate(value);
+        return (r) => r.timestamp < t;
+      }
+      case 'after': {
+        const t = parseQueryDate(value);
+        return (r) => r.timestamp >= t;
+      }
+      case 'is':
+        if (v === 'bookmarked') return ctx.bookmarked;
+        if (v === 'friend')     return ctx.friend;
+        if (v === 'alert')      return (r) => r.alert === true;
+        return () => false;
+    }
+    return () => true;
+  }
+
+  /** Clauses -> one record test per clause (alternatives or'd, negation applied). */
+  function clauseTests(clauses, ctx) {
+    const tests = [];
+    for (const c of clauses) {
+      const values = clauseValues(c);
+      if (!values.length) continue;
+      const any = values.map(v => clauseTest(c.key, v, ctx));
+      tests.push(c.negate ? (r) => !any.some(t => t(r)) : (r) => any.some(t => t(r)));
+    }
+    return tests;
+  }
+
+  /** The from: names in a parsed query, for looking up who else used them. */
+  function fromNames(clauses) {
+    return clauses.filter(c => c.key === 'from').flatMap(c => c.values);
+  }
+
+  globalThis.__cpChatLog_query = Object.freeze({
+    QUERY_KEYS, TYPE_EVENTS, foldText, tokenize, parseSearch, parseQuery, parseQueryDate,
+    clauseValues, clauseTest, clauseTests, fromNames,
+  });
+})();
@@ -0,0 +1,150 @@
+/**
+ * servers.js — server profile registry.
+ *
+ * Everything that differs between Yukon-based servers lives here, so a new
+ * server that behaves like one of these needs a profile, not code. Loaded
+ * ahead of hook.js (page world) and panel.js (isolated world) by the
+ * manifest and by the background worker's registered scripts, into the
+ * worker with importScripts, and into the popup. manifest.json's
+ * content_scripts and host_permissions mirror the built-in profiles.
+ *
+ * Profile fields:
+ *   id             partition key stamped on every record ("server" elsewhere)
+ *   label          shown in the popup
+ *   matches        content-script match patterns for the game page
+ *   hosts          host permissions the game needs (page and asset hosts)
+ *   wire           'aes-json'  socket.io "message" events, AES-encrypted
+ *                              through crypto.subtle
+ *                  'msgpack'   socket.io-msgpack-parser binary frames
+ *                  'json'      plain socket.io text frames
+ *   webpackChunk   global holding the client bundle's webpack chunks
+ *   stealth        hook each WebSocket instance and leave WebSocket.prototype
+ *                  alone, for servers whose anti-bot checks fingerprint it
+ *   domFallback    also watch the DOM for chat nodes
+ *   roomNames      room id -> name, over hook.js's Yukon defaults
+ *   actionAliases  server action -> the Yukon action hook.js handles
+ *   eventArgs      socket.io event -> names for its positional arguments,
+ *                  for events that don't send a single args object
+ *   iglooOffset    added to a penguin id to get its igloo's room id
+ */
+
+(function () {
+  'use strict';
+
+  const PROFILES = Object.freeze([
+    {
+      id:            'newcp.net',
+      label:         'New Club Penguin',
+      matches:       ['*://newcp.net/play*'],
+      hosts:         ['*://newcp.net/*', '*://media8.newcp.net/*'],
+      wire:          'aes-json',
+      webpackChunk:  'webpackChunkncp',
+      stealth:       false,
+      domFallback:   true,
+      roomNames:     {},
+      actionAliases: {},
+      eventArgs:     {},
+      iglooOffset:   2000,
+    },
+    {
+      id:            'cpjourney.net',
+      label:         'CP Journey',
+      matches:       ['*://play.cpjourney.net/*'],
+      hosts:         ['*://cpjourney.net/*', '*://play.cpjourney.net/*'],
+      wire:          'msgpack',
+      webpackChunk:  'webpackChunkyukon',
+      stealth:       true,   // hCaptcha checks WebSocket.prototype
+      domFallback:   false,  // chat is drawn on the Phaser canvas
+      roomNames:     {},
+      actionAliases: { give_tour: 'send_tour' },
+      eventArgs:     {},
+      iglooOffset:   2000,
+    },
+  ].map(Object.freeze));
+
+  // Vanilla Yukon (wizguin/yukon + yukon-server, as run locally in developer
+  // mode) emits one socket.io event per action, camelCase, some with bare
+  // positional arguments. Servers still on the single "message" event are
+  // unaffected: these names never reach hook.js there.
+  const VANILLA_ACTIONS = Object.freeze({
+    sendMessage:           'send_message',
+    sendSafeMessage:       'send_safe',
+    sendPhraseChatMessage: 'send_safe',
+    sendEmote:             'send_emote',
+    sendJoke:              'send_joke',
+    sendTourMessage:       'send_tour',
+    joinRoom:              'join_room',
+    addPlayer:             'add_player',
+    removePlayer:          'remove_player',
+    loadPlayer:            'load_player',
+    getIgloos:             'get_igloos',
+  });
+  const VANILLA_ARGS = Object.freeze({
+    sendMessage:           ['message'],
+    sendSafeMessage:       ['safe'],
+    sendPhraseChatMessage: ['phrase'],
+    sendEmote:             ['emote'],
+    sendJoke:              ['joke'],
+    sendTourMessage:       ['message'],
+    removePlayer:          ['user'],
+  });
+
+  // Servers added from the popup (optional host permissions), including the
+  // developer-mode origin, run as plain Yukon, partitioned by the host
+  // they're served from. Stealth costs nothing where it isn't needed, so
+  // it's the safe default for a stranger.
+  const GENERIC = Object.freeze({
+    id:            null,
+    label:         'Yukon',
+    matches:       [],
+    hosts:         [],
+    wire:          'json',
+    webpackChunk:  'webpackChunkyukon',
+    stealth:       true,
+    domFallback:   false,
+    roomNames:     {},
+    actionAliases: VANILLA_ACTIONS,
+    eventArgs:     VANILLA_ARGS,
+    iglooOffset:   2000,
+  });
+
+  /**
+   * Chrome match pattern -> RegExp over a full URL. Like Chrome, a pattern
+   * without a port matches any port and one with a port only that port.
+   */
+  function patternRegExp(pattern) {
+    const m = /^(\*|https?):\/\/(\*|(?:\*\.)?[^/*:]+)(?::(\d+))?(\/.*)$/.exec(pattern);
+    if (!m) return /^(?!)/;
+    const esc    = s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    const scheme = m[1] === '*' ? 'https?' : m[1];
+    const host   = m[2] === '*' ? '[^/:]+'
+      : m[2].startsWith('*.') ? `(?:[^/:]+\\.)?${esc(m[2].slice(2))}` : esc(m[2]);
+    const port   = m[3] ? `:${m[3]}` : '(?::\\d+)?';
+    const path   = m[4].split('*').map(esc).join('.*');
+    return new RegExp(`^${scheme}://${host}${port}${path}$`);
+  }
+
+  function builtinFor(url) {
+    return PROFILES.find(p => [...p.matches, ...p.hosts].some(pattern => patternRegExp(pattern).test(url))) || null;
+  }
+
+  /** The profile for a page URL; anything unknown is a user-added server. */
+  function profileFor(url) {
+    return builtinFor(url) || Object.freeze({ ...GENERIC, id: new URL(url).host });
+  }
+
+  /**
+   * "play.example.com", "http://localhost:8080/play" ... -> the match pattern
+   * to request and register for it, or null if it isn't an http(s) origin.
+   * A bare host gets `scheme` (https unless the caller says otherwise).
+   */
+  function originPattern(input, scheme = 'https') {
+    const text = String(input || '').trim();
+    let url;
+    try { url = new URL(/^[a-z]+:\/\//i.test(text) ? text : `${scheme}://${text}`); } catch { return null; }
+    if (!/^https?:$/.test(url.protocol)) return null;
+    return `${url.protocol}//${url.host}/*`;
+  }
+
+  globalThis.__cpChatLog_servers = Object.freeze({ PROFILES, GENERIC, patternRegExp, builtinFor, profileFor, originPattern });
+})();